@@ -0,0 +1,49 @@
+/**
+ * Build diagnostics in one shape for the host, the model and the TUI:
+ * `{ severity, text, path?, line?, column?, lineText?, pluginName?, id?, suggestions? }`.
+ * `path` is a workspace path ("~/src/a.ts") or a shim ("shim:fs"); `line` and `column` are 1-based.
+ */
+
+// "zip:/src/a.ts" -> "~/src/a.ts"
+export function displayPath(file) {
+  return file.startsWith("zip:") ? `~${file.slice(4)}` : file;
+}
+
+// Only workspace and shim locations mean anything to the model; others point into esbuild or the host.
+const isSandboxLocation = (loc) => Boolean(loc?.file) && (loc.file.startsWith("zip:") || loc.file.startsWith("shim:"));
+
+/** esbuild message (error or warning) -> diagnostic. Notes and esbuild's own fix become suggestions. */
+export function toDiagnostic(msg, severity) {
+  const loc = isSandboxLocation(msg.location) ? msg.location : null;
+  const suggestions = [];
+  if (loc?.suggestion) suggestions.push(`replace with "${loc.suggestion}"`);
+  for (const note of msg.notes ?? []) {
+    if (!note?.text) continue;
+    const at = isSandboxLocation(note.location) ? ` (${displayPath(note.location.file)}:${note.location.line}:${note.location.column + 1})` : "";
+    suggestions.push(`${note.text}${at}`);
+  }
+  return {
+    severity,
+    text: msg.text,
+    ...(loc
+      ? { path: displayPath(loc.file), line: loc.line, column: loc.column + 1, lineText: loc.lineText }
+      : {}),
+    ...(msg.pluginName ? { pluginName: msg.pluginName } : {}),
+    ...(msg.id ? { id: msg.id } : {}),
+    ...(suggestions.length ? { suggestions } : {})
+  };
+}
+
+/** "~/main.ts:1:15: error: Blocked ..." */
+export function formatDiagnostic(d) {
+  const where = d.path ? `${d.path}${d.line ? `:${d.line}:${d.column}` : ""}: ` : "";
+  return `${where}${d.severity}: ${d.text}`;
+}
+
+/** Short `error` string for a failed build: the count and the first error. */
+export function buildFailureMessage(diagnostics) {
+  const errors = diagnostics.filter((d) => d.severity === "error");
+  if (!errors.length) return "Build failed";
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+  return `Build failed: ${formatDiagnostic(errors[0])}${more}`;
+}
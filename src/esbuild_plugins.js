@@ -1,5 +1,8 @@
 import path from "node:path";
+import { isBuiltin } from "node:module";
 import { normPath, TIME_DIR } from "./path_utils.js";
+import { conditionsFor, resolveAsFile, resolvePackage } from "./node_resolve.js";
+import { aliasCandidates } from "./tsconfig.js";
 import { makeFsShim, makeFsPromisesShim, makePathPosixShim, makeOsShim } from "./vfs_shims.js";
 
 const posix = path.posix;
@@ -20,11 +23,54 @@ const DENY = new Set([
   "module", "node:module"
 ]);
 
+// Notes attached to resolver errors; they reach js_exec results as diagnostic `suggestions`.
+const SHIM_LIST = "fs, fs/promises, path and os";
+const NOTE_BLOCKED_BUILTIN = { text: `This module is not available in the sandbox; only the ${SHIM_LIST} shims are.` };
+const NOTE_BARE_IMPORT = {
+  text: `Node builtins are not available in the sandbox; use one of the ${SHIM_LIST} shims, or vendor a pure JS package into ~/node_modules.`
+};
+const NOTE_TIME_DIR = { text: "~/.time/ holds workspace history and is not visible to sandbox code." };
+
+/** Notes for a missing module: files next to it with a similar name, or what was tried. */
+function missingModuleNotes(workspace, candidateBase, baseDir) {
+  const dir = posix.dirname(candidateBase);
+  const want = posix.basename(candidateBase).toLowerCase();
+  const stem = (name) => name.replace(/\.(ts|tsx|js|jsx|mjs|cjs|json)$/, "").toLowerCase();
+  const similar = workspace.stat(dir)?.type === "dir"
+    ? workspace.list(dir).filter((name) => {
+        const s = stem(name);
+        return s === stem(want) || s.startsWith(want) || want.startsWith(s);
+      })
+    : [];
+  if (!similar.length) {
+    return [{ text: `Tried ~${candidateBase} with .ts, .tsx, .js, .mjs, .cjs, .json and /index.* (paths are case-sensitive).` }];
+  }
+  return similar.slice(0, 3).map((name) => {
+    let rel = posix.relative(baseDir, posix.join(dir, name.replace(/\.(ts|tsx|js|jsx|mjs|cjs)$/, "")));
+    if (!rel.startsWith(".")) rel = `./${rel}`;
+    return { text: `Did you mean "${rel}"?` };
+  });
+}
+
+/** Notes for a missing entry file: same-named files with another extension, if any. */
+function missingEntryNotes(workspace, p) {
+  const dir = posix.dirname(p);
+  const stem = (name) => name.replace(/\.[^.]*$/, "").toLowerCase();
+  const want = stem(posix.basename(p));
+  const similar = workspace.stat(dir)?.type === "dir"
+    ? workspace.list(dir).filter((name) => stem(name) === want && workspace.stat(posix.join(dir, name))?.type === "file")
+    : [];
+  if (!similar.length) return [{ text: "entryPath must be an existing workspace file, e.g. ~/main.ts (paths are case-sensitive)." }];
+  return similar.slice(0, 3).map((name) => ({ text: `Did you mean ~${posix.join(dir, name)}?` }));
+}
+
 /**
  * esbuild plugin: load workspace files from ZipWorkspace in-memory.
- * Supports relative imports inside the workspace.
+ * Supports relative and ~/ imports inside the workspace, and bare imports of packages vendored into
+ * `node_modules` dirs of the workspace (Node-style lookup, see `node_resolve.js`).
+ * `tsconfig` (settings from `loadTsconfig()`) adds `paths` / `baseUrl` aliases and JSX in .js files.
  */
-export function workspaceResolverPlugin(workspace, entryPath) {
+export function workspaceResolverPlugin(workspace, entryPath, { tsconfig = null } = {}) {
   return {
     name: "workspace-resolver",
     setup(build) {
@@ -35,7 +81,11 @@ export function workspaceResolverPlugin(workspace, entryPath) {
         // Only handle the entry explicitly via args.kind === 'entry-point'
         if (args.kind === "entry-point") {
           const p = normPath(entryPath);
-          if (isBlocked(p)) return { errors: [{ text: `Blocked workspace path: ${p}` }] };
+          if (isBlocked(p)) return { errors: [{ text: `Blocked workspace path: ${p}`, notes: [NOTE_TIME_DIR] }] };
+          if (workspace.stat(p)?.type !== "file") {
+            const what = workspace.stat(p)?.type === "dir" ? "Entry is a directory" : "Entry not found";
+            return { errors: [{ text: `${what}: ~${p}`, notes: missingEntryNotes(workspace, p) }] };
+          }
           return { path: p, namespace: "zip" };
         }
 
@@ -57,54 +107,65 @@ export function workspaceResolverPlugin(workspace, entryPath) {
 
         // Block denylist
         if (DENY.has(spec)) {
-          return { errors: [{ text: `Blocked import: ${spec}` }] };
+          return { errors: [{ text: `Blocked import: ${spec}`, notes: [NOTE_BLOCKED_BUILTIN] }] };
         }
 
         // Relative or absolute workspace paths:
         const isRel = spec.startsWith("./") || spec.startsWith("../");
         const isAbs = spec.startsWith("/") || spec.startsWith("~/");
 
+        // tsconfig `paths` / `baseUrl`; without a match, resolution continues as usual.
+        if (tsconfig && !isRel && !spec.startsWith("/") && !spec.startsWith("node:")) {
+          for (const candidate of aliasCandidates(tsconfig, spec)) {
+            if (isBlocked(candidate)) continue;
+            const found = resolveAsFile(workspace, candidate);
+            if (found) return { path: found, namespace: "zip" };
+          }
+        }
+
         if (isRel || isAbs) {
           const importer = args.importer ? normPath(args.importer) : normPath(entryPath);
           const baseDir = posix.dirname(importer);
 
           const candidateBase = isAbs ? normPath(spec) : normPath(posix.join(baseDir, spec));
           if (isBlocked(candidateBase)) {
-            return { errors: [{ text: `Blocked workspace path: ${candidateBase}` }] };
+            return { errors: [{ text: `Blocked workspace path: ${candidateBase}`, notes: [NOTE_TIME_DIR] }] };
           }
 
-          const candidates = [
-            candidateBase,
-            candidateBase + ".ts",
-            candidateBase + ".tsx",
-            candidateBase + ".js",
-            candidateBase + ".mjs",
-            candidateBase + ".cjs",
-            candidateBase + ".json",
-            posix.join(candidateBase, "index.ts"),
-            posix.join(candidateBase, "index.tsx"),
-            posix.join(candidateBase, "index.js"),
-            posix.join(candidateBase, "index.mjs"),
-            posix.join(candidateBase, "index.cjs"),
-            posix.join(candidateBase, "index.json")
-          ];
-
-          for (const p of candidates) {
-            if (isBlocked(p)) continue;
-            const st = workspace.stat(p);
-            if (st?.type === "file") return { path: p, namespace: "zip" };
-          }
-          return { errors: [{ text: `Workspace module not found: ${spec} (from ${args.importer})` }] };
+          const found = resolveAsFile(workspace, candidateBase);
+          if (found) return { path: found, namespace: "zip" };
+          return {
+            errors: [
+              {
+                text: `Workspace module not found: ${spec} (from ~${importer})`,
+                notes: missingModuleNotes(workspace, candidateBase, baseDir)
+              }
+            ]
+          };
         }
 
-        // Non-relative import: blocked by blockNonRelativeImportsPlugin (unless provided as a shim above).
-        return null;
+        // node:* builtins (other than the shims above) are blocked by blockNonRelativeImportsPlugin.
+        if (spec.startsWith("node:")) return null;
+
+        // Bare import: a package under node_modules. Builtin names only resolve when vendored there.
+        const importer = args.importer ? normPath(args.importer) : normPath(entryPath);
+        const res = resolvePackage(workspace, spec, posix.dirname(importer), { conditions: conditionsFor(args.kind) });
+        if (res.path) return { path: res.path, namespace: "zip" };
+        const notes = res.notes.map((text) => ({ text }));
+        if (isBuiltin(spec)) notes.unshift(NOTE_BARE_IMPORT);
+        return { errors: [{ text: `${res.error} (from ~${importer})`, notes }] };
       });
 
       build.onLoad({ filter: /.*/, namespace: "zip" }, (args) => {
         const p = normPath(args.path);
         if (isBlocked(p)) return { errors: [{ text: `Blocked workspace path: ${p}` }] };
-        const buf = workspace.readFile(p);
+        let buf;
+        try {
+          buf = workspace.readFile(p);
+        } catch (err) {
+          // A host exception here would surface as a diagnostic pointing into esbuild itself.
+          return { errors: [{ text: `Cannot read ~${p}: ${err?.code || err?.message || err}` }] };
+        }
 
         let loader = "js";
         if (p.endsWith(".ts")) loader = "ts";
@@ -113,6 +174,7 @@ export function workspaceResolverPlugin(workspace, entryPath) {
         else if (p.endsWith(".json")) loader = "json";
         else if (p.endsWith(".mjs")) loader = "js";
         else if (p.endsWith(".cjs")) loader = "js";
+        if (loader === "js" && tsconfig?.jsxInJs && !p.split("/").includes("node_modules")) loader = "jsx";
 
         return { contents: Buffer.from(buf).toString("utf8"), loader, resolveDir: posix.dirname(p) };
       });
@@ -138,7 +200,8 @@ export function workspaceResolverPlugin(workspace, entryPath) {
 }
 
 /**
- * esbuild plugin: block all non-relative imports (everything must be bundled or shimmed).
+ * esbuild plugin: block every import `workspaceResolverPlugin` did not resolve (everything must be
+ * bundled or shimmed); in practice the `node:` builtins.
  *
  * Note: This repo intentionally avoids loading any host Node builtins at runtime. If you need something,
  * add a shim module in `workspaceResolverPlugin`.
@@ -165,9 +228,16 @@ export function blockNonRelativeImportsPlugin() {
         if (isRel || isAbs || isShim) return null;
 
         // denylist check (defense-in-depth)
-        if (DENY.has(spec)) return { errors: [{ text: `Blocked import: ${spec}` }] };
-
-        return { errors: [{ text: `Blocked non-relative import: ${spec}. Only workspace paths and shims are allowed.` }] };
+        if (DENY.has(spec)) return { errors: [{ text: `Blocked import: ${spec}`, notes: [NOTE_BLOCKED_BUILTIN] }] };
+
+        return {
+          errors: [
+            {
+              text: `Blocked non-relative import: ${spec}. Only workspace paths, ~/node_modules packages and shims are allowed.`,
+              notes: [NOTE_BARE_IMPORT]
+            }
+          ]
+        };
       });
     }
   };
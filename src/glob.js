@@ -0,0 +1,199 @@
+import { normPath, isTimePath } from "./path_utils.js";
+
+/**
+ * Small glob matcher for workspace paths.
+ *
+ * Supported syntax:
+ * - `*` any run of characters inside one path segment, `?` one character
+ * - `**` as a whole segment: zero or more segments
+ * - `[abc]`, `[a-z]`, `[!abc]` character classes
+ * - `{a,b}` brace sets (nested sets are expanded too)
+ * - a leading `!` negates a pattern (used as an exclusion in `compileGlobs`)
+ *
+ * Like most shells, `*` and `**` skip dot-files/dirs unless `dot: true` (or the pattern spells the dot out).
+ * Patterns are matched against the whole relative path: use `**\/*.ts`, not `*.ts`, to search subdirectories.
+ */
+
+const MAX_BRACE_EXPANSION = 256;
+
+function escapeRe(s) {
+  return s.replace(/[.+^${}()|[\]\\*?]/g, "\\$&");
+}
+
+function splitTopLevel(body) {
+  const out = [];
+  let depth = 0;
+  let cur = "";
+  for (let i = 0; i < body.length; i += 1) {
+    const c = body[i];
+    if (c === "\\" && i + 1 < body.length) {
+      cur += c + body[i + 1];
+      i += 1;
+      continue;
+    }
+    if (c === "{") depth += 1;
+    if (c === "}") depth -= 1;
+    if (c === "," && depth === 0) {
+      out.push(cur);
+      cur = "";
+      continue;
+    }
+    cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * Expand `{a,b}` sets into separate patterns. A `{x}` without a comma stays literal.
+ */
+export function expandBraces(pattern) {
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const c = pattern[i];
+    if (c === "\\") {
+      i += 1;
+      continue;
+    }
+    if (c === "{") {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if (c === "}" && depth > 0) {
+      depth -= 1;
+      if (depth !== 0) continue;
+      const pre = pattern.slice(0, start);
+      const post = pattern.slice(i + 1);
+      const alts = splitTopLevel(pattern.slice(start + 1, i));
+      if (alts.length < 2) {
+        return expandBraces(post).map((rest) => pattern.slice(0, i + 1) + rest);
+      }
+      const out = [];
+      for (const alt of alts) {
+        for (const p of expandBraces(pre + alt + post)) {
+          out.push(p);
+          if (out.length > MAX_BRACE_EXPANSION) throw new Error(`glob brace expansion exceeds ${MAX_BRACE_EXPANSION} patterns`);
+        }
+      }
+      return out;
+    }
+  }
+  return [pattern];
+}
+
+function segmentSource(seg, dot) {
+  let out = "";
+  for (let i = 0; i < seg.length; i += 1) {
+    const c = seg[i];
+    if (c === "*") {
+      while (seg[i + 1] === "*") i += 1;
+      out += "[^/]*";
+    } else if (c === "?") {
+      out += "[^/]";
+    } else if (c === "[") {
+      const close = seg.indexOf("]", i + 2);
+      if (close === -1) {
+        out += "\\[";
+        continue;
+      }
+      let body = seg.slice(i + 1, close);
+      if (body[0] === "!" || body[0] === "^") body = "^" + body.slice(1);
+      out += `[${body.replace(/\\/g, "\\\\")}]`;
+      i = close;
+    } else if (c === "\\" && i + 1 < seg.length) {
+      i += 1;
+      out += escapeRe(seg[i]);
+    } else {
+      out += escapeRe(c);
+    }
+  }
+  // Wildcards never match a leading "." unless asked to.
+  if (!dot && !seg.startsWith(".")) out = "(?!\\.)" + out;
+  return out;
+}
+
+/**
+ * Compile a single brace-free glob into an anchored RegExp over "/"-separated relative paths.
+ */
+export function globToRegExp(pattern, { dot = false } = {}) {
+  const segs = String(pattern).split("/").filter(Boolean);
+  const any = dot ? "[^/]+" : "(?!\\.)[^/]+";
+  let src = "";
+  for (let i = 0; i < segs.length; i += 1) {
+    const seg = segs[i];
+    const last = i === segs.length - 1;
+    if (seg === "**") {
+      src += last ? `(?:${any}(?:/${any})*)?` : `(?:${any}/)*`;
+      continue;
+    }
+    src += segmentSource(seg, dot) + (last ? "" : "/");
+  }
+  return new RegExp(`^${src}$`);
+}
+
+/**
+ * Build a predicate from one or more patterns. Patterns starting with "!" exclude; if every
+ * pattern is an exclusion, everything else is included.
+ *
+ * @param {string | string[]} patterns
+ * @returns {(relPath: string) => boolean}
+ */
+export function compileGlobs(patterns, { dot = false } = {}) {
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).map((p) => String(p ?? "").trim()).filter(Boolean);
+  const include = [];
+  const exclude = [];
+  for (const raw of list) {
+    const negated = raw.startsWith("!");
+    const body = negated ? raw.slice(1) : raw;
+    for (const p of expandBraces(body)) {
+      const re = globToRegExp(p.replace(/^~\//, "").replace(/^\/+/, ""), { dot });
+      (negated ? exclude : include).push(re);
+    }
+  }
+  return (relPath) => {
+    const rel = String(relPath).replace(/^\/+/, "");
+    if (include.length > 0 && !include.some((re) => re.test(rel))) return false;
+    return !exclude.some((re) => re.test(rel));
+  };
+}
+
+/**
+ * Include/exclude filter in the style of ripgrep's `--glob`: a pattern without "/" matches at any
+ * depth ("*.ts", "node_modules"), and a pattern that matches a directory also matches everything
+ * under it ("node_modules" excludes "node_modules/x.js"). Returns null when there is nothing to filter.
+ *
+ * @returns {((relPath: string) => boolean) | null}
+ */
+export function makePathFilter(include, exclude) {
+  const toList = (v) => (Array.isArray(v) ? v : v ? [v] : []).map((g) => String(g).trim()).filter(Boolean);
+  const anyDepth = (g) => {
+    const base = g.includes("/") ? g.replace(/\/+$/, "") : `**/${g}`;
+    return base.endsWith("/**") ? [base] : [base, `${base}/**`];
+  };
+  const inc = toList(include).flatMap(anyDepth);
+  const exc = toList(exclude).flatMap(anyDepth).map((g) => "!" + g);
+  if (inc.length === 0 && exc.length === 0) return null;
+  return compileGlobs([...inc, ...exc], { dot: true });
+}
+
+/**
+ * Match workspace files and dirs under `base` (never `base` itself or `~/.time/`).
+ * Patterns are relative to `base`. Returns unsorted `{ path, rel, type }` items.
+ */
+export function globWorkspace(workspace, patterns, { base = "/", dot = false } = {}) {
+  const root = normPath(base);
+  const prefix = root === "/" ? "/" : root + "/";
+  const matches = compileGlobs(patterns, { dot });
+  const out = [];
+  for (const [keys, type] of [
+    [workspace.dirs.keys(), "dir"],
+    [workspace.files.keys(), "file"]
+  ]) {
+    for (const p of keys) {
+      if (p === root || !p.startsWith(prefix) || isTimePath(p)) continue;
+      const rel = p.slice(prefix.length);
+      if (matches(rel)) out.push({ path: p, rel, type });
+    }
+  }
+  return out;
+}
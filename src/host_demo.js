@@ -85,6 +85,18 @@ async function main() {
   console.log(ws2.readFile("~/out/hello.txt", "utf8"));
 
   console.log("ZIP size (bytes):", zip1.length);
+
+  // Path filters: a bare directory name covers everything under it (README: `--exclude node_modules`).
+  tools.fs_write({ path: "~/node_modules/dep/index.js", content: "export const marker = 1;\n" });
+  tools.fs_write({ path: "~/src/app.ts", content: "export const marker = 2;\n" });
+  const excluded = tools.fs_search({ query: "marker", exclude: "node_modules" }).results.map((r) => r.path);
+  const included = tools.fs_search({ query: "marker", include: "src" }).results.map((r) => r.path);
+  console.log("=== fs_search exclude node_modules / include src ===");
+  console.log(excluded, included);
+  if (excluded.join() !== "/src/app.ts" || included.join() !== "/src/app.ts") {
+    console.error("Path filter check failed");
+    process.exit(1);
+  }
 }
 
 main().catch((e) => {
@@ -1,14 +1,14 @@
 import fs from "node:fs/promises";
-import { spawn } from "node:child_process";
-import { fileURLToPath } from "node:url";
 import { ZipWorkspace } from "./workspace.js";
 import { timeInit, timeRecord, timeUndo, timeRedo, timeList, timeRestore, timeDiff } from "./time_machine.js";
-import { normPath } from "./path_utils.js";
-import { createWorkspaceTools } from "./tools.js";
+import { normPath, isTimePath } from "./path_utils.js";
+import { createWorkspaceTools, BATCH_OPS } from "./tools.js";
+import { createSearchIndex } from "./search_index.js";
 import { atomicWriteFile } from "./persist.js";
-
-const SANDBOX_RUNNER_PATH = fileURLToPath(new URL("./sandbox_runner.js", import.meta.url));
-const DEFAULT_EXEC_TIMEOUT_MS = 1500;
+import { importHostDir, exportToHostDir } from "./host_transfer.js";
+import { addPackage } from "./package_store.js";
+import { DEFAULT_EXEC_LIMITS, decodeChanges } from "./sandbox_runner.js";
+import { runSandbox, createSandboxPool, DEFAULT_POOL_OPTIONS } from "./sandbox_pool.js";
 const DEFAULT_SEARCH_MAX_RESULTS = 8;
 const DEFAULT_SEARCH_CONTEXT_LINES = 2;
 
@@ -22,12 +22,16 @@ async function fileExists(p) {
   }
 }
 
-export async function loadWorkspaceFromZipPath(zipPath) {
+/**
+ * Load (or create) the workspace for a ZIP path.
+ * `lazy` keeps entries compressed until first read; autosaves then only recompress edited files.
+ */
+export async function loadWorkspaceFromZipPath(zipPath, { lazy = false } = {}) {
   const exists = await fileExists(zipPath);
-  if (!exists) return { workspace: new ZipWorkspace(), existed: false };
+  if (!exists) return { workspace: new ZipWorkspace(null, { lazy }), existed: false };
 
   const zipBuf = await fs.readFile(zipPath);
-  return { workspace: new ZipWorkspace(zipBuf), existed: true };
+  return { workspace: new ZipWorkspace(zipBuf, { lazy }), existed: true };
 }
 
 export async function saveWorkspaceToZipPath(workspace, zipPath) {
@@ -36,114 +40,175 @@ export async function saveWorkspaceToZipPath(workspace, zipPath) {
   return { ok: true, bytes: zipBuf.length };
 }
 
-function runSandbox(req, { wallTimeoutMs }) {
-  return new Promise((resolve) => {
-    const child = spawn(process.execPath, [SANDBOX_RUNNER_PATH], {
-      stdio: ["pipe", "pipe", "pipe"],
-      env: { NODE_OPTIONS: "" }
-    });
-
-    let stdout = "";
-    let stderr = "";
-    child.stdout.setEncoding("utf8");
-    child.stderr.setEncoding("utf8");
-    child.stdout.on("data", (d) => (stdout += d));
-    child.stderr.on("data", (d) => (stderr += d));
-
-    let killed = false;
-    const timer = setTimeout(() => {
-      killed = true;
-      child.kill("SIGKILL");
-    }, wallTimeoutMs);
-
-    child.on("error", (err) => {
-      clearTimeout(timer);
-      resolve({
-        ok: false,
-        exitCode: 1,
-        error: `Failed to spawn sandbox_runner: ${String(err?.message || err)}`,
-        stdout,
-        stderr
-      });
-    });
-
-    child.on("close", (code, signal) => {
-      clearTimeout(timer);
-      if (killed) {
-        resolve({
-          ok: false,
-          exitCode: 124,
-          error: `Sandbox timed out after ${wallTimeoutMs}ms`,
-          signal,
-          stdout,
-          stderr
-        });
-        return;
-      }
-
-      let resp = null;
-      try {
-        resp = JSON.parse(stdout || "{}");
-      } catch (err) {
-        resolve({
-          ok: false,
-          exitCode: code ?? 1,
-          error: `Failed to parse sandbox response: ${String(err?.message || err)}`,
-          stdout,
-          stderr
-        });
-        return;
-      }
-      resolve({
-        ok: true,
-        exitCode: code ?? 0,
-        resp,
-        stdout,
-        stderr
-      });
-    });
-
-    child.stdin.write(JSON.stringify(req));
-    child.stdin.end();
-  });
-}
-
-export function createHostToolHandlers({ workspace, zipPath }) {
-  const base = createWorkspaceTools(workspace);
+/**
+ * `persistSearchIndex` stores the fs_semantic_search index in the ZIP (under ~/.time/) on `close()`
+ * when it changed during the session.
+ * `execLimits` overrides `DEFAULT_EXEC_LIMITS` for js_exec (timeout, heap, output, writes, files).
+ * `execPool` sizes the js_exec worker pool (`{ workers, maxRunsPerWorker }`); `workers: 0` spawns a
+ * fresh runner per call instead. Call `close()` to stop the workers.
+ * `packageStore` is the host directory `pkg_add` vendors packages from (see `package_store.js`).
+ */
+export function createHostToolHandlers({
+  workspace,
+  zipPath,
+  persistSearchIndex = false,
+  execLimits = {},
+  execPool = {},
+  packageStore = null
+}) {
+  const limits = { ...DEFAULT_EXEC_LIMITS };
+  for (const [k, v] of Object.entries(execLimits)) if (k in limits && Number.isFinite(v) && v > 0) limits[k] = v;
+  const poolOptions = { ...DEFAULT_POOL_OPTIONS };
+  for (const [k, v] of Object.entries(execPool)) if (k in poolOptions && Number.isInteger(v) && v >= 0) poolOptions[k] = v;
+  const pool =
+    poolOptions.workers > 0 && poolOptions.maxRunsPerWorker > 0
+      ? createSandboxPool({ ...poolOptions, maxHeapMb: limits.maxHeapMb })
+      : null;
+  const searchIndex = createSearchIndex(workspace, { persist: persistSearchIndex });
+  const base = createWorkspaceTools(workspace, { searchIndex });
 
   /** @type {{ ok: true; bytes: number; ts: number } | null} */
   let lastPersist = null;
 
   const strOrUndef = (v) => (typeof v === "string" && v.length ? v : undefined);
+  const numOrUndef = (v) => (typeof v === "number" && Number.isFinite(v) ? v : undefined);
+  const strListOrUndef = (v) => (Array.isArray(v) ? v.map(String) : strOrUndef(v));
+  const hashMapOrUndef = (v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(Object.entries(v).filter(([, h]) => typeof h === "string"))
+      : undefined;
 
   function sanitizeArgs(toolName, args) {
     const a = args && typeof args === "object" ? args : {};
 
     switch (toolName) {
       case "fs_read":
-        return { path: strOrUndef(a.path), encoding: "utf8" };
+        return { path: strOrUndef(a.path), encoding: strOrUndef(a.encoding) };
       case "fs_read_lines":
-        return { path: strOrUndef(a.path), startLine: a.startLine, endLine: a.endLine };
+        return { path: strOrUndef(a.path), startLine: a.startLine, endLine: a.endLine, encoding: strOrUndef(a.encoding) };
       case "fs_search":
         return {
           query: strOrUndef(a.query),
           pathPrefix: strOrUndef(a.path) ?? strOrUndef(a.pathPrefix),
           maxResults: DEFAULT_SEARCH_MAX_RESULTS,
-          contextLines: DEFAULT_SEARCH_CONTEXT_LINES
+          contextLines: DEFAULT_SEARCH_CONTEXT_LINES,
+          regex: a.regex === true,
+          flags: strOrUndef(a.flags),
+          wholeWord: a.wholeWord === true,
+          multiline: typeof a.multiline === "boolean" ? a.multiline : undefined,
+          caseSensitive: typeof a.caseSensitive === "boolean" ? a.caseSensitive : undefined,
+          include: strListOrUndef(a.include),
+          exclude: strListOrUndef(a.exclude)
+        };
+      case "fs_semantic_search":
+        return {
+          query: strOrUndef(a.query),
+          pathPrefix: strOrUndef(a.path) ?? strOrUndef(a.pathPrefix),
+          limit: numOrUndef(a.limit)
         };
       case "fs_write":
-        return { path: strOrUndef(a.path), content: String(a.content ?? ""), encoding: "utf8", overwrite: true };
-      case "fs_list":
+        return {
+          path: strOrUndef(a.path),
+          content: String(a.content ?? ""),
+          encoding: strOrUndef(a.encoding),
+          overwrite: true,
+          ifMatch: strOrUndef(a.ifMatch),
+          bom: typeof a.bom === "boolean" ? a.bom : undefined,
+          eol: strOrUndef(a.eol)
+        };
+      case "fs_tree":
+        return {
+          path: strOrUndef(a.path),
+          depth: numOrUndef(a.depth),
+          maxChildren: numOrUndef(a.maxChildren),
+          maxLines: numOrUndef(a.maxLines),
+          largest: numOrUndef(a.largest)
+        };
+      case "fs_outline":
+        return {
+          path: strOrUndef(a.path),
+          maxFiles: numOrUndef(a.maxFiles),
+          maxLines: numOrUndef(a.maxLines),
+          imports: typeof a.imports === "boolean" ? a.imports : undefined
+        };
       case "fs_stat":
+        return { path: strOrUndef(a.path), hash: a.hash === true };
+      case "fs_list":
       case "fs_mkdir":
-      case "fs_delete":
         return { path: strOrUndef(a.path), recursive: true };
+      case "fs_delete":
+        return {
+          path: strOrUndef(a.path),
+          recursive: a.recursive === true,
+          force: a.force === true,
+          ifMatch: strOrUndef(a.ifMatch)
+        };
       case "fs_patch_lines":
         return {
           path: strOrUndef(a.path),
           startLine: a.startLine,
           endLine: a.endLine,
-          replacement: String(a.replacement ?? "")
+          replacement: String(a.replacement ?? ""),
+          ifMatch: strOrUndef(a.ifMatch),
+          expectedLines: Array.isArray(a.expectedLines) ? a.expectedLines.map(String) : undefined
+        };
+      case "fs_glob":
+        return {
+          pattern: Array.isArray(a.pattern) ? a.pattern.map(String) : strOrUndef(a.pattern),
+          path: strOrUndef(a.path),
+          type: strOrUndef(a.type),
+          minSize: numOrUndef(a.minSize),
+          maxSize: numOrUndef(a.maxSize),
+          modifiedAfter: strOrUndef(a.modifiedAfter),
+          modifiedBefore: strOrUndef(a.modifiedBefore),
+          dot: a.dot === true,
+          sortBy: strOrUndef(a.sortBy),
+          offset: numOrUndef(a.offset),
+          limit: numOrUndef(a.limit)
+        };
+      case "fs_replace":
+        return {
+          path: strOrUndef(a.path),
+          oldText: String(a.oldText ?? ""),
+          newText: String(a.newText ?? ""),
+          expectedCount: numOrUndef(a.expectedCount),
+          replaceAll: a.replaceAll === true,
+          regex: a.regex === true,
+          flags: strOrUndef(a.flags),
+          ifMatch: strOrUndef(a.ifMatch)
+        };
+      case "fs_apply_patch":
+        return {
+          patch: String(a.patch ?? ""),
+          fuzz: numOrUndef(a.fuzz),
+          strip: numOrUndef(a.strip),
+          dryRun: a.dryRun === true,
+          partial: a.partial === true,
+          ifMatch: hashMapOrUndef(a.ifMatch)
+        };
+      case "fs_batch":
+        return {
+          // Each operation gets the same sanitizing as the standalone tool, except that required
+          // arguments it omits stay missing so fs_batch rejects the op (instead of writing "").
+          operations: Array.isArray(a.operations)
+            ? a.operations.map((o) => {
+                const op = strOrUndef(o?.op);
+                const name = op?.replace(/^fs_/, "");
+                const clean = { op, ...sanitizeArgs(name ? `fs_${name}` : "", o) };
+                for (const k of BATCH_OPS[name] ?? []) if (o?.[k] === undefined || o?.[k] === null) delete clean[k];
+                return clean;
+              })
+            : undefined,
+          note: strOrUndef(a.note),
+          dryRun: a.dryRun === true
+        };
+      case "fs_move":
+      case "fs_copy":
+        return {
+          from: strOrUndef(a.from),
+          to: strOrUndef(a.to),
+          overwrite: a.overwrite === true,
+          ifMatch: strOrUndef(a.ifMatch)
         };
       default:
         return a;
@@ -153,10 +218,19 @@ export function createHostToolHandlers({ workspace, zipPath }) {
   const MUTATING_TOOLS = new Set([
     "fs_write",
     "fs_patch_lines",
+    "fs_replace",
     "fs_mkdir",
-    "fs_delete"
+    "fs_delete",
+    "fs_move",
+    "fs_copy",
+    "fs_apply_patch",
+    "fs_batch"
   ]);
 
+  // Tools that can touch many paths: history is recorded from full before/after snapshots.
+  const TREE_TOOLS = new Set(["fs_move", "fs_copy", "fs_apply_patch", "fs_batch"]);
+  const touchesTree = (name, args) => TREE_TOOLS.has(name) || (name === "fs_delete" && args?.recursive === true);
+
   async function persist() {
     const res = await saveWorkspaceToZipPath(workspace, zipPath);
     lastPersist = { ...res, ts: Date.now() };
@@ -172,7 +246,7 @@ export function createHostToolHandlers({ workspace, zipPath }) {
       const normedPath = typeof sanitized?.path === "string" ? normPath(sanitized.path) : null;
 
       let beforeFile = null;
-      if (name === "fs_write" || name === "fs_patch_lines" || name === "fs_delete") {
+      if (name === "fs_write" || name === "fs_patch_lines" || name === "fs_replace" || name === "fs_delete") {
         const p = normedPath;
         if (p) {
           const st = workspace.stat(p);
@@ -181,33 +255,45 @@ export function createHostToolHandlers({ workspace, zipPath }) {
       }
 
       const beforeDirExists = normedPath ? workspace.stat(normedPath)?.type === "dir" : false;
+      const beforeTree = touchesTree(name, sanitized)
+        ? { files: workspace.snapshotFiles(), dirs: new Set(workspace.dirs.keys()) }
+        : null;
 
       const result = fn(sanitized);
 
-      if (MUTATING_TOOLS.has(name)) {
-        timeInit(workspace);
-
-        // Record file change (single-path tools).
-        const beforeFiles = new Map();
-        const afterFiles = new Map();
-        const p = normedPath;
-        if (p) {
-          if (beforeFile) beforeFiles.set(p, beforeFile);
-          const stAfter = workspace.stat(p);
-          if (stAfter?.type === "file") afterFiles.set(p, workspace.readFile(p));
+      if (MUTATING_TOOLS.has(name) && !sanitized?.dryRun) {
+        let beforeFiles = new Map();
+        let afterFiles = new Map();
+        let beforeDirs = new Set();
+        let afterDirs = new Set();
+
+        if (beforeTree) {
+          ({ beforeFiles, afterFiles } = workspace.diffFiles(beforeTree.files));
+          beforeDirs = beforeTree.dirs;
+          afterDirs = new Set(workspace.dirs.keys());
+        } else {
+          // Record file change (single-path tools).
+          const p = normedPath;
+          if (p) {
+            if (beforeFile) beforeFiles.set(p, beforeFile);
+            const stAfter = workspace.stat(p);
+            if (stAfter?.type === "file") afterFiles.set(p, workspace.readFile(p));
+          }
+
+          // Record dir change only for explicit directory ops.
+          if ((name === "fs_mkdir" || name === "fs_delete") && p) {
+            const afterDirExists = workspace.stat(p)?.type === "dir";
+            if (beforeDirExists) beforeDirs.add(p);
+            if (afterDirExists) afterDirs.add(p);
+          }
         }
 
-        // Record dir change only for explicit directory ops.
-        const beforeDirs = new Set();
-        const afterDirs = new Set();
-        if ((name === "fs_mkdir" || name === "fs_delete") && p) {
-          const afterDirExists = workspace.stat(p)?.type === "dir";
-          if (beforeDirExists) beforeDirs.add(p);
-          if (afterDirExists) afterDirs.add(p);
-        }
+        searchIndex.update(new Set([...beforeFiles.keys(), ...afterFiles.keys(), ...(normedPath ? [normedPath] : [])]));
+
+        timeInit(workspace);
 
         try {
-          timeRecord(workspace, { tool: name, beforeFiles, afterFiles, beforeDirs, afterDirs });
+          timeRecord(workspace, { tool: name, note: sanitized?.note, beforeFiles, afterFiles, beforeDirs, afterDirs });
         } catch {
           // If history recording fails, continue without blocking the main operation.
         }
@@ -219,25 +305,33 @@ export function createHostToolHandlers({ workspace, zipPath }) {
     };
   }
 
-  handlers.js_exec = async (args) => {
+  // `onEvent` (optional) receives the run's streamed events (see sandbox_runner.js); the result is unchanged.
+  handlers.js_exec = async (args, { onEvent } = {}) => {
     const entryPath = strOrUndef(args?.entryPath) ?? "~/main.ts";
     const argv = Array.isArray(args?.argv) ? args.argv.map(String) : [];
     const env = {};
-    const timeoutMs = DEFAULT_EXEC_TIMEOUT_MS;
+    const { timeoutMs, maxHeapMb, ...runLimits } = limits;
 
-    const beforeFiles = new Map(workspace.files);
+    const beforeFiles = workspace.snapshotFiles();
+    const beforeDirs = new Set(workspace.dirs.keys());
 
-    const zip0 = workspace.exportZipBuffer();
     const req = {
-      zipBase64: zip0.toString("base64"),
       entryPath,
       argv,
       env,
-      timeoutMs
+      timeoutMs,
+      limits: runLimits
     };
 
-    const wallTimeoutMs = Math.max(0, timeoutMs) + 250;
-    const run = await runSandbox(req, { wallTimeoutMs });
+    // The runner enforces timeoutMs itself after bundling; the wall clock only catches a stuck runner.
+    const wallTimeoutMs = Math.max(0, timeoutMs) + 1500;
+    // Both return protocol v2 changes; the pool has already applied them to `workspace`.
+    const run = pool
+      ? await pool.run(workspace, req, { wallTimeoutMs, onEvent })
+      : await runSandbox(
+          { version: 2, ...req, stream: Boolean(onEvent), zipBase64: workspace.exportZipBuffer({ skip: isTimePath }).toString("base64") },
+          { wallTimeoutMs, maxHeapMb, onEvent }
+        );
     if (!run.ok) return run;
 
     const resp = run.resp;
@@ -246,23 +340,26 @@ export function createHostToolHandlers({ workspace, zipPath }) {
         ok: false,
         exitCode: resp?.exitCode ?? 1,
         error: resp?.error ?? "Sandbox execution failed",
-        stack: resp?.stack ?? "",
+        ...(resp?.stack ? { stack: resp.stack } : {}),
+        ...(resp?.diagnostics?.length ? { diagnostics: resp.diagnostics } : {}),
         stdout: resp?.stdout ?? "",
-        stderr: resp?.stderr ?? ""
+        stderr: resp?.stderr ?? "",
+        ...(resp?.limitExceeded ? { limitExceeded: resp.limitExceeded } : {})
       };
     }
 
-    const zip1 = Buffer.from(resp.zipBase64 || "", "base64");
-    workspace.importZip(zip1);
+    if (!pool) workspace.applyChanges(decodeChanges(resp));
 
-    // Record file-level changes from the execution.
+    // Record file and directory changes from the execution.
     try {
+      const changed = workspace.diffFiles(beforeFiles);
+      searchIndex.update(new Set([...changed.beforeFiles.keys(), ...changed.afterFiles.keys()]));
       timeRecord(workspace, {
         tool: "js_exec",
-        beforeFiles,
-        afterFiles: new Map(workspace.files),
-        beforeDirs: new Set(),
-        afterDirs: new Set()
+        beforeFiles: changed.beforeFiles,
+        afterFiles: changed.afterFiles,
+        beforeDirs,
+        afterDirs: new Set(workspace.dirs.keys())
       });
     } catch {
       // continue without blocking
@@ -274,12 +371,54 @@ export function createHostToolHandlers({ workspace, zipPath }) {
       ok: true,
       exitCode: resp.exitCode ?? 0,
       stdout: resp.stdout ?? "",
-      stderr: resp.stderr ?? ""
+      stderr: resp.stderr ?? "",
+      ...(resp.diagnostics?.length ? { diagnostics: resp.diagnostics } : {}),
+      ...(resp.limitExceeded ? { limitExceeded: resp.limitExceeded } : {})
     };
   };
 
+  // Offline install from the host package store; one history entry for the package and its dependencies.
+  handlers.pkg_add = async (args) => {
+    if (!packageStore) throw Object.assign(new Error("ENOENT: no package store configured (PKG_STORE)"), { code: "ENOENT" });
+    const opts = {
+      storeDir: packageStore,
+      spec: strOrUndef(args?.name),
+      version: strOrUndef(args?.version),
+      root: strOrUndef(args?.root),
+      dryRun: args?.dryRun === true
+    };
+    const beforeFiles = workspace.snapshotFiles();
+    const beforeDirs = new Set(workspace.dirs.keys());
+    const out = await addPackage(workspace, opts);
+    if (out.dryRun || !out.added.length) return out;
+
+    const changed = workspace.diffFiles(beforeFiles);
+    searchIndex.update(new Set([...changed.beforeFiles.keys(), ...changed.afterFiles.keys()]));
+    timeInit(workspace);
+    try {
+      const deps = out.added.length - (out.added.some((a) => a.name === out.name) ? 1 : 0);
+      timeRecord(workspace, {
+        tool: "pkg_add",
+        note: `${out.name}@${out.version}${deps ? ` (+${deps} ${deps === 1 ? "dependency" : "dependencies"})` : ""}`,
+        beforeFiles: changed.beforeFiles,
+        afterFiles: changed.afterFiles,
+        beforeDirs,
+        afterDirs: new Set(workspace.dirs.keys())
+      });
+    } catch {
+      // continue without blocking
+    }
+    await persist();
+    return out;
+  };
+
   return {
     handlers,
+    close: async () => {
+      pool?.close();
+      // The index is a cache: write it once at the end of the session, not on every autosave.
+      if (searchIndex.dirty && searchIndex.save()) await persist();
+    },
     getLastPersist: () => lastPersist,
     time: {
       history: (opts) => timeList(workspace, opts),
@@ -299,6 +438,34 @@ export function createHostToolHandlers({ workspace, zipPath }) {
         await persist();
         return out;
       }
+    },
+    transfer: {
+      /** Host dir -> workspace; recorded as one history entry ("host_import"). */
+      importDir: async (opts) => {
+        const beforeFiles = workspace.snapshotFiles();
+        const beforeDirs = new Set(workspace.dirs.keys());
+        const out = await importHostDir(workspace, opts);
+        if (out.dryRun) return out;
+
+        const changed = workspace.diffFiles(beforeFiles);
+        searchIndex.update(new Set([...changed.beforeFiles.keys(), ...changed.afterFiles.keys()]));
+        timeInit(workspace);
+        try {
+          timeRecord(workspace, {
+            tool: "host_import",
+            note: `${out.hostDir} -> ~${out.dest}`,
+            beforeFiles: changed.beforeFiles,
+            afterFiles: changed.afterFiles,
+            beforeDirs,
+            afterDirs: new Set(workspace.dirs.keys())
+          });
+        } catch {
+          // continue without blocking
+        }
+        await persist();
+        return out;
+      },
+      exportDir: (opts) => exportToHostDir(workspace, opts)
     }
   };
 }
@@ -0,0 +1,227 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normPath, isTimePath } from "./path_utils.js";
+import { makePathFilter } from "./glob.js";
+
+export const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+
+function transferError(code, message) {
+  return Object.assign(new Error(`${code}: ${message}`), { code });
+}
+
+function isInside(root, p) {
+  const rel = path.relative(root, p);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+/**
+ * Copy a host directory tree into the workspace under `dest`.
+ *
+ * `include` / `exclude` are globs relative to `hostDir` (see `makePathFilter`); an excluded
+ * directory is not descended into. Symlinks and special files are skipped, as are files over
+ * `maxFileBytes`; going over `maxTotalBytes` aborts before anything is written. A read error
+ * midway restores the workspace, so an import is all-or-nothing.
+ *
+ * @returns {Promise<{ ok: true; dryRun: boolean; hostDir: string; dest: string; files: { path: string; size: number }[]; dirs: string[]; skipped: { path: string; reason: string }[]; bytes: number }>}
+ */
+export async function importHostDir(
+  workspace,
+  {
+    hostDir,
+    dest = "~/",
+    include,
+    exclude,
+    overwrite = true,
+    maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+    maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES,
+    dryRun = false
+  }
+) {
+  if (typeof hostDir !== "string" || !hostDir) throw transferError("EINVAL", "hostDir is required");
+  const root = path.resolve(hostDir);
+  const rootStat = await fs.stat(root);
+  if (!rootStat.isDirectory()) throw transferError("ENOTDIR", root);
+
+  const destDir = normPath(dest);
+  if (isTimePath(destDir)) throw transferError("EACCES", "cannot import into ~/.time/");
+  if (workspace.stat(destDir)?.type === "file") throw transferError("ENOTDIR", destDir);
+
+  const keep = makePathFilter(include, undefined);
+  const drop = makePathFilter(undefined, exclude);
+  const toWorkspace = (rel) => normPath(path.posix.join(destDir, rel));
+
+  const files = [];
+  const dirs = [];
+  const skipped = [];
+  let bytes = 0;
+
+  const walk = async (abs, rel) => {
+    const entries = await fs.readdir(abs, { withFileTypes: true });
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    let kept = 0;
+    for (const e of entries) {
+      const childRel = rel ? `${rel}/${e.name}` : e.name;
+      const childAbs = path.join(abs, e.name);
+      if (drop && !drop(childRel)) continue;
+      if (e.isSymbolicLink()) {
+        skipped.push({ path: childRel, reason: "symlink" });
+      } else if (e.isDirectory()) {
+        kept += await walk(childAbs, childRel);
+      } else if (!e.isFile()) {
+        skipped.push({ path: childRel, reason: "not a regular file" });
+      } else if (!keep || keep(childRel)) {
+        const st = await fs.stat(childAbs);
+        const target = toWorkspace(childRel);
+        if (isTimePath(target)) skipped.push({ path: childRel, reason: "reserved path" });
+        else if (st.size > maxFileBytes) skipped.push({ path: childRel, reason: `larger than ${maxFileBytes} bytes` });
+        else if (!overwrite && workspace.stat(target)) skipped.push({ path: childRel, reason: "exists" });
+        else {
+          files.push({ abs: childAbs, path: target, size: st.size, mtimeMs: st.mtimeMs, mode: st.mode & 0o777 });
+          bytes += st.size;
+          kept += 1;
+        }
+      }
+    }
+    // Empty directories come along unless an include filter narrows the import to files.
+    if (rel && kept === 0 && !keep) dirs.push(toWorkspace(rel));
+    return kept;
+  };
+  await walk(root, "");
+
+  if (bytes > maxTotalBytes) {
+    throw transferError("EFBIG", `import is ${bytes} bytes, over the ${maxTotalBytes} byte limit (narrow it with include/exclude)`);
+  }
+
+  if (!dryRun) {
+    const snapshot = workspace.snapshotTree();
+    try {
+      workspace.mkdir(destDir, true);
+      for (const d of dirs) workspace.mkdir(d, true);
+      for (const f of files) {
+        workspace.writeFile(f.path, await fs.readFile(f.abs), "utf8", true);
+        workspace.files.set(f.path, { ...workspace.files.get(f.path), mtime: Math.floor(f.mtimeMs), mode: f.mode });
+      }
+    } catch (err) {
+      workspace.restoreTree(snapshot);
+      throw err;
+    }
+  }
+
+  return {
+    ok: true,
+    dryRun,
+    hostDir: root,
+    dest: destDir,
+    files: files.map((f) => ({ path: f.path, size: f.size })),
+    dirs,
+    skipped,
+    bytes
+  };
+}
+
+/**
+ * Copy workspace files under `src` (a directory or a single file) to the host directory `hostDir`.
+ * `include` / `exclude` are globs relative to `src`, as for import; files below an excluded
+ * directory are skipped.
+ *
+ * Never exports `~/.time/`. Every target is checked to resolve inside `hostDir` (after following
+ * existing host symlinks), and existing symlinks are never written through. Existing files are
+ * skipped unless `overwrite` is set. mtime and permission bits are preserved.
+ *
+ * @returns {Promise<{ ok: true; dryRun: boolean; src: string; hostDir: string; files: { path: string; hostPath: string; size: number }[]; dirs: string[]; skipped: { path: string; reason: string }[]; bytes: number }>}
+ */
+export async function exportToHostDir(workspace, { src = "~/", hostDir, include, exclude, overwrite = false, dryRun = false }) {
+  if (typeof hostDir !== "string" || !hostDir) throw transferError("EINVAL", "hostDir is required");
+  const srcPath = normPath(src);
+  if (isTimePath(srcPath)) throw transferError("EACCES", "~/.time/ is never exported");
+  const st = workspace.stat(srcPath);
+  if (!st) throw transferError("ENOENT", srcPath);
+
+  const root = path.resolve(hostDir);
+  const keep = makePathFilter(include, undefined);
+  const drop = makePathFilter(undefined, exclude);
+  const prefix = srcPath === "/" ? "/" : srcPath + "/";
+  // Like import, an excluded directory excludes everything below it.
+  const dropped = (rel) => {
+    if (!drop) return false;
+    const parts = rel.split("/");
+    for (let i = 1; i <= parts.length; i += 1) if (!drop(parts.slice(0, i).join("/"))) return true;
+    return false;
+  };
+
+  /** @type {{ path: string; rel: string }[]} */
+  const picked = [];
+  const dirs = [];
+  if (st.type === "file") {
+    picked.push({ path: srcPath, rel: path.posix.basename(srcPath) });
+  } else {
+    for (const p of workspace.files.keys()) {
+      if (!p.startsWith(prefix) || isTimePath(p)) continue;
+      const rel = p.slice(prefix.length);
+      if (!dropped(rel) && (!keep || keep(rel))) picked.push({ path: p, rel });
+    }
+    // Empty directories come along unless an include filter narrows the export to files.
+    if (!keep) {
+      const parents = new Set([...workspace.files.keys(), ...workspace.dirs.keys()].map((p) => path.posix.dirname(p)));
+      for (const d of workspace.dirs.keys()) {
+        if (d.startsWith(prefix) && !isTimePath(d) && !parents.has(d) && !dropped(d.slice(prefix.length))) dirs.push(d.slice(prefix.length));
+      }
+    }
+  }
+  picked.sort((a, b) => (a.rel < b.rel ? -1 : 1));
+  dirs.sort();
+
+  const lstatOrNull = (p) => fs.lstat(p).catch((err) => (err?.code === "ENOENT" || err?.code === "ENOTDIR" ? null : Promise.reject(err)));
+  if (!dryRun) await fs.mkdir(root, { recursive: true });
+  // Null only for a dry run into a directory that does not exist yet (nothing to escape through).
+  const realRoot = (await lstatOrNull(root)) ? await fs.realpath(root) : null;
+
+  const resolveTarget = async (rel, { create }) => {
+    const target = path.resolve(root, ...rel.split("/"));
+    if (!isInside(root, target)) throw transferError("EACCES", `${rel} resolves outside ${root}`);
+    const parent = path.dirname(target);
+    if (realRoot) {
+      // Check the deepest existing ancestor before mkdir, so a symlinked dir cannot redirect it.
+      let existing = parent;
+      while (!(await lstatOrNull(existing))) existing = path.dirname(existing);
+      if (!isInside(realRoot, await fs.realpath(existing))) throw transferError("EACCES", `${rel} resolves outside ${root}`);
+    }
+    if (create) await fs.mkdir(parent, { recursive: true });
+    return target;
+  };
+
+  const files = [];
+  const skipped = [];
+  let bytes = 0;
+  for (const { path: p, rel } of picked) {
+    const target = await resolveTarget(rel, { create: !dryRun });
+    const existing = await lstatOrNull(target);
+    if (existing?.isSymbolicLink()) {
+      skipped.push({ path: p, reason: "target is a symlink" });
+      continue;
+    }
+    if (existing && !existing.isFile()) {
+      skipped.push({ path: p, reason: "target is not a regular file" });
+      continue;
+    }
+    if (existing && !overwrite) {
+      skipped.push({ path: p, reason: "exists" });
+      continue;
+    }
+    const meta = workspace.stat(p);
+    if (!dryRun) {
+      await fs.writeFile(target, workspace.readFile(p));
+      await fs.chmod(target, meta.mode & 0o777);
+      await fs.utimes(target, new Date(meta.mtimeMs), new Date(meta.mtimeMs));
+    }
+    files.push({ path: p, hostPath: target, size: meta.size });
+    bytes += meta.size;
+  }
+  for (const rel of dirs) {
+    const target = await resolveTarget(rel, { create: !dryRun });
+    if (!dryRun) await fs.mkdir(target, { recursive: true });
+  }
+
+  return { ok: true, dryRun, src: srcPath, hostDir: root, files, dirs: dirs.map((d) => prefix + d), skipped, bytes };
+}
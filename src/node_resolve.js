@@ -0,0 +1,168 @@
+import path from "node:path";
+import { isTimePath } from "./path_utils.js";
+
+const posix = path.posix;
+
+// Extension / index probing for relative imports, `main` / `module` and subpaths of packages without
+// an `exports` map (esbuild-style, TS first).
+const EXTENSIONS = [".ts", ".tsx", ".js", ".mjs", ".cjs", ".json"];
+
+/** First existing file for `base` (as is, with an extension, or as a directory index); null if none. */
+export function resolveAsFile(workspace, base) {
+  const candidates = [base, ...EXTENSIONS.map((ext) => base + ext), ...EXTENSIONS.map((ext) => posix.join(base, `index${ext}`))];
+  for (const p of candidates) {
+    if (isTimePath(p)) continue;
+    if (workspace.stat(p)?.type === "file") return p;
+  }
+  return null;
+}
+
+/** "@scope/pkg/a/b" -> { name: "@scope/pkg", subpath: "./a/b" }; null for an invalid specifier. */
+export function parsePackageSpecifier(spec) {
+  const parts = spec.split("/");
+  const nameParts = spec.startsWith("@") ? 2 : 1;
+  if (parts.length < nameParts || parts.slice(0, nameParts).some((p) => !p || p === "." || p === "..")) return null;
+  const rest = parts.slice(nameParts);
+  return { name: parts.slice(0, nameParts).join("/"), subpath: rest.length ? `./${rest.join("/")}` : "." };
+}
+
+/** Conditions for an esbuild import kind (require() picks "require", everything else "import"). */
+export function conditionsFor(kind) {
+  return kind === "require-call" || kind === "require-resolve"
+    ? ["require", "node", "default"]
+    : ["import", "module", "node", "default"];
+}
+
+// Resolve a target (string, fallback array or condition object) to a string; null when nothing matches.
+function resolveTarget(target, conditions) {
+  if (typeof target === "string") return target;
+  if (Array.isArray(target)) {
+    for (const t of target) {
+      const r = resolveTarget(t, conditions);
+      if (r) return r;
+    }
+    return null;
+  }
+  if (target && typeof target === "object") {
+    // Object key order decides, as in Node; the first active condition wins.
+    for (const [key, value] of Object.entries(target)) {
+      if (conditions.includes(key)) return resolveTarget(value, conditions);
+    }
+  }
+  return null;
+}
+
+/**
+ * Match `subpath` ("." or "./x") against a package.json `exports` field. Returns the package-relative
+ * target, null when the subpath is not exported (or maps to null).
+ */
+export function matchExports(exportsField, subpath, conditions) {
+  const isSubpathMap =
+    exportsField && typeof exportsField === "object" && !Array.isArray(exportsField) && Object.keys(exportsField).some((k) => k.startsWith("."));
+  const map = isSubpathMap ? exportsField : { ".": exportsField };
+
+  if (Object.hasOwn(map, subpath) && !subpath.includes("*")) return resolveTarget(map[subpath], conditions);
+
+  // Subpath patterns ("./features/*.js"): the longest matching prefix wins.
+  let best = null;
+  for (const key of Object.keys(map)) {
+    const star = key.indexOf("*");
+    if (star < 0 || key.indexOf("*", star + 1) >= 0) continue;
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.length < key.length - 1 || !subpath.startsWith(prefix) || !subpath.endsWith(suffix)) continue;
+    if (!best || prefix.length > best.prefix.length) {
+      best = { key, prefix, match: subpath.slice(prefix.length, subpath.length - suffix.length) };
+    }
+  }
+  if (!best) return null;
+  const target = resolveTarget(map[best.key], conditions);
+  return target ? target.replaceAll("*", best.match) : null;
+}
+
+function readPackageJson(workspace, dir) {
+  const p = posix.join(dir, "package.json");
+  if (workspace.stat(p)?.type !== "file") return { pkg: {} };
+  try {
+    const pkg = JSON.parse(Buffer.from(workspace.readFile(p)).toString("utf8"));
+    return { pkg: pkg && typeof pkg === "object" ? pkg : {} };
+  } catch (err) {
+    return { error: `Invalid JSON in ~${p}: ${err.message}` };
+  }
+}
+
+/** `node_modules` dirs Node would search from `fromDir`, nearest first. */
+export function nodeModulesDirs(fromDir) {
+  const dirs = [];
+  for (let d = fromDir; ; d = posix.dirname(d)) {
+    if (posix.basename(d) !== "node_modules") dirs.push(posix.join(d, "node_modules"));
+    if (d === "/") break;
+  }
+  return dirs;
+}
+
+/**
+ * Resolve a bare specifier like Node does, from `node_modules` dirs in the workspace (walking up from
+ * `fromDir`). Uses package.json `exports` (subpaths, patterns, conditions) when present, otherwise
+ * `module` (for imports) / `main` and file probing.
+ *
+ * @returns {{ path: string } | { error: string; notes: string[] }}
+ */
+export function resolvePackage(workspace, spec, fromDir, { conditions = conditionsFor("import-statement") } = {}) {
+  const parsed = parsePackageSpecifier(spec);
+  if (!parsed) return { error: `Invalid package specifier: ${spec}`, notes: [] };
+  const { name, subpath } = parsed;
+
+  const searched = nodeModulesDirs(fromDir);
+  const pkgDir = searched.map((d) => posix.join(d, name)).find((d) => workspace.stat(d)?.type === "dir");
+  if (!pkgDir) {
+    return {
+      error: `Package not found: ${name}`,
+      notes: [`Searched ${searched.map((d) => `~${d}`).join(", ")}. Vendor its source into ~/node_modules/${name} (pure JS packages only).`]
+    };
+  }
+
+  const inside = (p) => p === pkgDir || p.startsWith(pkgDir + "/");
+  const { pkg, error } = readPackageJson(workspace, pkgDir);
+  if (error) return { error, notes: [] };
+
+  if (pkg.exports !== undefined && pkg.exports !== null) {
+    const target = matchExports(pkg.exports, subpath, conditions);
+    if (!target) {
+      const available = pkg.exports && typeof pkg.exports === "object" ? Object.keys(pkg.exports).filter((k) => k.startsWith(".") && pkg.exports[k] !== null) : [];
+      return {
+        error: `Package subpath "${subpath}" is not exported by ${name} (conditions: ${conditions.join(", ")})`,
+        notes: available.length ? [`Exported subpaths: ${available.slice(0, 10).join(", ")}`] : []
+      };
+    }
+    const resolved = posix.join(pkgDir, target);
+    if (!target.startsWith("./") || !inside(resolved)) {
+      return { error: `Invalid "exports" target "${target}" in ~${pkgDir}/package.json`, notes: [] };
+    }
+    const file = resolveAsFile(workspace, resolved);
+    if (!file) return { error: `Missing file for ${spec}: ~${resolved}`, notes: [`"exports" in ~${pkgDir}/package.json points at it.`] };
+    return { path: file };
+  }
+
+  let file = null;
+  if (subpath === ".") {
+    const fields = conditions.includes("require") ? ["main"] : ["module", "main"];
+    for (const field of fields) {
+      if (typeof pkg[field] !== "string") continue;
+      const entry = posix.join(pkgDir, pkg[field]);
+      if (inside(entry)) file = resolveAsFile(workspace, entry);
+      if (file) break;
+    }
+    file ??= resolveAsFile(workspace, posix.join(pkgDir, "index"));
+  } else {
+    const entry = posix.join(pkgDir, subpath);
+    if (inside(entry)) file = resolveAsFile(workspace, entry);
+  }
+  if (!file) {
+    return {
+      error: `Cannot resolve ${spec} in ~${pkgDir}`,
+      notes: [subpath === "." ? `Add "main" or "exports" to ~${pkgDir}/package.json, or an index.js.` : `No file matches ~${posix.join(pkgDir, subpath)}.`]
+    };
+  }
+  return { path: file };
+}
@@ -0,0 +1,547 @@
+/**
+ * Code outlines for JS/TS sources: top-level imports, exports, functions, classes (with methods)
+ * and their line ranges.
+ *
+ * esbuild does not expose its AST, so it is only used to validate the file and report syntax
+ * errors; the outline itself comes from a small brace-aware tokenizer that tolerates broken code.
+ */
+import esbuild from "esbuild";
+
+export const OUTLINE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+
+export function outlineLoader(p) {
+  if (p.endsWith(".d.ts") || p.endsWith(".ts")) return "ts";
+  if (p.endsWith(".tsx")) return "tsx";
+  if (p.endsWith(".jsx")) return "jsx";
+  if (p.endsWith(".js") || p.endsWith(".mjs") || p.endsWith(".cjs")) return "js";
+  return null;
+}
+
+/**
+ * Syntax errors as `{ text, line, column }` (both 1-based); empty when the file parses.
+ * Plain `.js` files are retried with the JSX loader before reporting.
+ */
+export function syntaxDiagnostics(source, loader) {
+  const attempt = (l) => {
+    try {
+      esbuild.transformSync(source, { loader: l, logLevel: "silent" });
+      return [];
+    } catch (err) {
+      const errors = Array.isArray(err?.errors) && err.errors.length ? err.errors : [{ text: String(err?.message || err) }];
+      return errors.map((e) => ({
+        text: e.text,
+        line: e.location?.line ?? null,
+        column: e.location ? e.location.column + 1 : null
+      }));
+    }
+  };
+  const errors = attempt(loader);
+  if (errors.length && loader === "js" && attempt("jsx").length === 0) return [];
+  return errors;
+}
+
+const REGEX_AFTER_PUNC = new Set("(,=:[!&|?{};+-*%<>~^".split(""));
+const REGEX_AFTER_WORD = new Set(["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"]);
+
+/**
+ * @typedef {{ type: "id" | "str" | "num" | "tmpl" | "regex" | "punc"; value: string; line: number; nl: boolean }} Token
+ * `nl` is true when a line break precedes the token (what automatic semicolon insertion looks at).
+ */
+
+/** @returns {Token[]} */
+function tokenize(src) {
+  const tokens = [];
+  const stack = []; // "{" for braces, "tmpl" for `${` inside template literals
+  let i = 0;
+  let line = 1;
+  let nl = true;
+
+  const push = (type, value, startLine) => {
+    tokens.push({ type, value, line: startLine, nl });
+    nl = false;
+  };
+  const regexAllowed = () => {
+    const t = tokens[tokens.length - 1];
+    if (!t) return true;
+    if (t.type === "punc") return REGEX_AFTER_PUNC.has(t.value);
+    return t.type === "id" && REGEX_AFTER_WORD.has(t.value);
+  };
+  // Scans template text from `i` up to the closing backtick or the next `${`.
+  const scanTemplate = (startLine) => {
+    while (i < src.length) {
+      const c = src[i];
+      if (c === "\\") i += 2;
+      else if (c === "`") {
+        i += 1;
+        push("tmpl", "`", startLine);
+        return;
+      } else if (c === "$" && src[i + 1] === "{") {
+        i += 2;
+        push("tmpl", "`", startLine);
+        stack.push("tmpl");
+        return;
+      } else {
+        if (c === "\n") line += 1;
+        i += 1;
+      }
+    }
+    push("tmpl", "`", startLine);
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    const d = src[i + 1];
+    if (c === "\n") {
+      line += 1;
+      nl = true;
+      i += 1;
+    } else if (c === " " || c === "\t" || c === "\r" || c === "\f" || c === "\v" || c === "\ufeff") {
+      i += 1;
+    } else if (c === "/" && d === "/") {
+      while (i < src.length && src[i] !== "\n") i += 1;
+    } else if (c === "/" && d === "*") {
+      const end = src.indexOf("*/", i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      for (let k = i; k < stop; k += 1) {
+        if (src[k] === "\n") {
+          line += 1;
+          nl = true;
+        }
+      }
+      i = stop;
+    } else if (c === '"' || c === "'") {
+      const start = i;
+      i += 1;
+      while (i < src.length && src[i] !== c && src[i] !== "\n") i += src[i] === "\\" ? 2 : 1;
+      if (src[i] === c) i += 1;
+      push("str", src.slice(start + 1, src[i - 1] === c ? i - 1 : i), line);
+    } else if (c === "`") {
+      i += 1;
+      scanTemplate(line);
+    } else if (c === "/" && regexAllowed()) {
+      const start = i;
+      let inClass = false;
+      i += 1;
+      while (i < src.length && src[i] !== "\n") {
+        if (src[i] === "\\") i += 1;
+        else if (src[i] === "[") inClass = true;
+        else if (src[i] === "]") inClass = false;
+        else if (src[i] === "/" && !inClass) break;
+        i += 1;
+      }
+      i += 1;
+      while (i < src.length && /[a-z]/i.test(src[i])) i += 1;
+      push("regex", src.slice(start, i), line);
+    } else if (/[A-Za-z_$#\u0080-\uffff]/.test(c)) {
+      const start = i;
+      i += 1;
+      while (i < src.length && /[\w$\u0080-\uffff]/.test(src[i])) i += 1;
+      push("id", src.slice(start, i), line);
+    } else if (/[0-9]/.test(c) || (c === "." && /[0-9]/.test(d ?? ""))) {
+      const start = i;
+      i += 1;
+      while (i < src.length && /[\w.]/.test(src[i])) i += 1;
+      push("num", src.slice(start, i), line);
+    } else if (c === "{") {
+      stack.push("{");
+      push("punc", c, line);
+      i += 1;
+    } else if (c === "}") {
+      i += 1;
+      if (stack.pop() === "tmpl") scanTemplate(line);
+      else push("punc", c, line);
+    } else {
+      push("punc", c, line);
+      i += 1;
+    }
+  }
+  return tokens;
+}
+
+const OPEN = new Set(["{", "(", "["]);
+const CLOSE = new Set(["}", ")", "]"]);
+// Tokens that, at the start of a new line, continue the previous statement.
+const CONTINUES = new Set([".", "?", ":", "=", "+", "-", "*", "/", "%", "&", "|", "^", "<", ">", ",", "(", "[", "!"]);
+const CONTINUE_WORDS = new Set(["else", "catch", "finally", "instanceof", "in", "of", "as", "satisfies", "extends", "implements"]);
+const ENDS = new Set([")", "]", "}"]);
+// A "{" after these is a type literal (`): { a: T } {`, `Promise<{ a: T }>`), not a body.
+const TYPE_BRACE_AFTER = new Set([":", "<", "|", "&", ",", "?"]);
+
+function canEnd(t) {
+  return t.type !== "punc" || ENDS.has(t.value);
+}
+
+/**
+ * Index of the last token of the statement starting at `i` (stopping before `limit`). Block
+ * statements (function/class bodies) end at the brace that closes their body.
+ */
+function statementEnd(tokens, i, limit, isBlock) {
+  let depth = 0;
+  let bodyOpened = false;
+  for (let k = i; k < limit; k += 1) {
+    const t = tokens[k];
+    if (t.type === "punc") {
+      if (OPEN.has(t.value)) {
+        if (depth === 0 && t.value === "{" && !(k > i && TYPE_BRACE_AFTER.has(tokens[k - 1].value))) bodyOpened = true;
+        depth += 1;
+      } else if (CLOSE.has(t.value)) {
+        depth = Math.max(0, depth - 1);
+        if (depth === 0 && t.value === "}" && isBlock && bodyOpened) return k;
+      } else if (depth === 0 && t.value === ";") {
+        return k;
+      }
+    }
+    const next = tokens[k + 1];
+    if (depth === 0 && k + 1 < limit && next.nl && canEnd(t)) {
+      const continues =
+        (next.type === "punc" && CONTINUES.has(next.value)) ||
+        (next.type === "id" && CONTINUE_WORDS.has(next.value)) ||
+        (isBlock && !bodyOpened && next.type === "punc" && next.value === "{");
+      if (!continues) return k;
+    }
+  }
+  return limit - 1;
+}
+
+// Index of the token matching the opener at `k`.
+function matchingClose(tokens, k, limit) {
+  let depth = 0;
+  for (let j = k; j < limit; j += 1) {
+    const t = tokens[j];
+    if (t.type !== "punc") continue;
+    if (OPEN.has(t.value)) depth += 1;
+    else if (CLOSE.has(t.value) && --depth === 0) return j;
+  }
+  return limit - 1;
+}
+
+const isId = (t, value) => t?.type === "id" && (value === undefined || t.value === value);
+const isPunc = (t, value) => t?.type === "punc" && t.value === value;
+
+// Skips `@decorator`, `@a.b(...)` sequences.
+function skipDecorators(tokens, j, end) {
+  while (j <= end && isPunc(tokens[j], "@")) {
+    j += 1;
+    while (j <= end && (isId(tokens[j]) || isPunc(tokens[j], "."))) j += 1;
+    if (isPunc(tokens[j], "(")) j = matchingClose(tokens, j, end + 1) + 1;
+  }
+  return j;
+}
+
+// `= function`, `= async (...) =>`, `= x =>`, `= (...) =>` starting at the token after "=".
+function isFunctionValue(tokens, j, end) {
+  if (isId(tokens[j], "async")) j += 1;
+  if (isId(tokens[j], "function")) return true;
+  if (isPunc(tokens[j], "<")) {
+    while (j <= end && !isPunc(tokens[j], "(")) j += 1;
+  }
+  if (isId(tokens[j])) j += 1;
+  else if (isPunc(tokens[j], "(")) j = matchingClose(tokens, j, end + 1) + 1;
+  else return false;
+  // Optional return type annotation.
+  if (isPunc(tokens[j], ":")) {
+    while (j < end && !(isPunc(tokens[j], "=") && isPunc(tokens[j + 1], ">"))) {
+      if (tokens[j].type === "punc" && OPEN.has(tokens[j].value)) j = matchingClose(tokens, j, end + 1);
+      j += 1;
+    }
+  }
+  return isPunc(tokens[j], "=") && isPunc(tokens[j + 1], ">");
+}
+
+// Identifiers bound by a destructuring pattern starting at `j` (an opener); returns [names, nextIndex].
+function patternNames(tokens, j, end) {
+  const close = matchingClose(tokens, j, end + 1);
+  const names = [];
+  for (let k = j + 1; k < close; k += 1) {
+    const t = tokens[k];
+    const next = tokens[k + 1];
+    if (t.type === "punc" && OPEN.has(t.value) && t.value !== "{" && t.value !== "[") {
+      k = matchingClose(tokens, k, close);
+      continue;
+    }
+    if (isPunc(t, "=")) {
+      // Skip default values.
+      let depth = 0;
+      for (k += 1; k < close; k += 1) {
+        const u = tokens[k];
+        if (u.type === "punc" && OPEN.has(u.value)) depth += 1;
+        else if (u.type === "punc" && CLOSE.has(u.value)) depth -= 1;
+        if (depth < 0 || (depth === 0 && isPunc(tokens[k + 1], ","))) break;
+      }
+      continue;
+    }
+    if (isId(t) && !isPunc(next, ":") && !isPunc(next, "(")) names.push(t.value);
+  }
+  return [names, close + 1];
+}
+
+function importItem(tokens, j, end, base) {
+  const names = [];
+  let source = null;
+  let inBraces = false;
+  let current = [];
+  for (let k = j; k <= end; k += 1) {
+    const t = tokens[k];
+    if (t.type === "str") {
+      source = t.value;
+      continue;
+    }
+    if (isId(t, "from") && !inBraces) continue;
+    if (isPunc(t, "{")) inBraces = true;
+    else if (isPunc(t, "}") || isPunc(t, ",")) {
+      if (current.length) names.push(current.join(" "));
+      current = [];
+      if (isPunc(t, "}")) inBraces = false;
+    } else if (isPunc(t, "=") || isPunc(t, ";") || isPunc(t, "(")) {
+      continue;
+    } else if (isId(t, "require") && !inBraces) {
+      continue;
+    } else if (isPunc(t, "*") || isId(t)) {
+      if (!inBraces && isId(t, "type") && current.length === 0 && names.length === 0 && !isId(tokens[k + 1], "from")) continue;
+      current.push(t.value);
+    }
+  }
+  if (current.length) names.push(current.join(" "));
+  return { ...base, kind: "import", ...(source !== null ? { source } : {}), names };
+}
+
+function classMembers(tokens, open, close) {
+  const members = [];
+  let k = open + 1;
+  while (k < close) {
+    const start = k;
+    let j = skipDecorators(tokens, k, close - 1);
+    const declStart = j;
+    const flags = {};
+    while (
+      isId(tokens[j]) &&
+      ["static", "async", "get", "set", "public", "private", "protected", "readonly", "override", "abstract", "declare", "accessor"].includes(tokens[j].value) &&
+      !isPunc(tokens[j + 1], "(") &&
+      !isPunc(tokens[j + 1], "=") &&
+      !isPunc(tokens[j + 1], ";") &&
+      !isPunc(tokens[j + 1], "<")
+    ) {
+      if (["static", "get", "set", "async"].includes(tokens[j].value)) flags[tokens[j].value] = true;
+      j += 1;
+    }
+    if (isPunc(tokens[j], "*")) j += 1;
+    let name = null;
+    const t = tokens[j];
+    if (isPunc(t, "{") && flags.static) name = "static {}";
+    else if (isPunc(t, "[")) {
+      const c = matchingClose(tokens, j, close);
+      name = `[${tokens.slice(j + 1, c).map((x) => x.value).join("")}]`;
+      j = c + 1;
+    } else if (t && t.type !== "punc") {
+      name = t.type === "str" ? JSON.stringify(t.value) : t.value;
+      j += 1;
+    }
+    if (isPunc(tokens[j], "?") || isPunc(tokens[j], "!")) j += 1;
+    const isMethod = name === "static {}" || isPunc(tokens[j], "(") || isPunc(tokens[j], "<");
+    const end = statementEnd(tokens, declStart, close, isMethod);
+    const isArrowField = !isMethod && isPunc(tokens[j], "=") && isFunctionValue(tokens, j + 1, end);
+    if (name && (isMethod || isArrowField)) {
+      const kind = name === "constructor" ? "constructor" : flags.get ? "getter" : flags.set ? "setter" : "method";
+      members.push({
+        kind,
+        name,
+        line: tokens[start].line,
+        endLine: tokens[end].line,
+        ...(flags.static ? { static: true } : {}),
+        ...(flags.async ? { async: true } : {})
+      });
+    }
+    k = end + 1;
+  }
+  return members;
+}
+
+// Statements starting with these keywords are considered for the outline.
+const DECLARATION_START = /^(import|export|function|async|class|abstract|declare|const|let|var|interface|type|enum|namespace|module|exports|@)$/;
+
+function describe(tokens, s, e) {
+  let j = skipDecorators(tokens, s, e);
+  const base = { line: tokens[s].line, endLine: tokens[e].line };
+  const t0 = tokens[j];
+
+  if (isId(t0, "import") && !isPunc(tokens[j + 1], "(") && !isPunc(tokens[j + 1], ".")) {
+    return importItem(tokens, j + 1, e, base);
+  }
+
+  // CommonJS: module.exports = ..., exports.x = ..., module.exports.x = ...
+  if (isId(t0, "module") || isId(t0, "exports")) {
+    let k = j;
+    if (isId(t0, "module") && isPunc(tokens[k + 1], ".") && isId(tokens[k + 2], "exports")) k += 2;
+    else if (!isId(t0, "exports")) return null;
+    if (isPunc(tokens[k + 1], ".") && isId(tokens[k + 2]) && isPunc(tokens[k + 3], "=")) {
+      const fn = isFunctionValue(tokens, k + 4, e);
+      return { ...base, kind: "export", names: [tokens[k + 2].value], ...(fn ? { function: true } : {}) };
+    }
+    if (isPunc(tokens[k + 1], "=")) return { ...base, kind: "export", names: ["module.exports"] };
+    return null;
+  }
+
+  let exported = false;
+  let isDefault = false;
+  if (isId(t0, "export")) {
+    exported = true;
+    j += 1;
+    if (isId(tokens[j], "default")) {
+      isDefault = true;
+      j += 1;
+    }
+    j = skipDecorators(tokens, j, e);
+  }
+  const flags = {};
+  while (isId(tokens[j]) && ["declare", "abstract", "async"].includes(tokens[j].value) && isId(tokens[j + 1])) {
+    if (tokens[j].value === "async") flags.async = true;
+    j += 1;
+  }
+  const withExport = (item) => ({
+    ...item,
+    ...(exported ? { exported: true } : {}),
+    ...(isDefault ? { default: true } : {}),
+    ...(flags.async ? { async: true } : {})
+  });
+  const t = tokens[j];
+
+  if (exported && !isDefault) {
+    // export { a, b as c } [from "x"]; export * [as ns] from "x"; export type { T }
+    if (isId(t, "type") && isPunc(tokens[j + 1], "{")) j += 1;
+    if (isPunc(tokens[j], "{") || isPunc(tokens[j], "*")) {
+      const item = importItem(tokens, j, e, base);
+      return { ...base, kind: "export", names: item.names, ...(item.source !== undefined ? { source: item.source } : {}) };
+    }
+    if (isPunc(t, "=")) return { ...base, kind: "export", names: ["default"] };
+    if (isId(t, "import")) return withExport(importItem(tokens, j + 1, e, base));
+  }
+
+  if (isId(t, "function")) {
+    const generator = isPunc(tokens[j + 1], "*");
+    const nameTok = tokens[j + (generator ? 2 : 1)];
+    const name = isId(nameTok) ? nameTok.value : "default";
+    return withExport({ ...base, kind: "function", name, ...(generator ? { generator: true } : {}) });
+  }
+  if (isId(t, "class")) {
+    const nameTok = tokens[j + 1];
+    const name = isId(nameTok) && !["extends", "implements"].includes(nameTok.value) ? nameTok.value : "default";
+    let open = j + 1;
+    while (open <= e && !isPunc(tokens[open], "{")) {
+      if (tokens[open].type === "punc" && OPEN.has(tokens[open].value)) open = matchingClose(tokens, open, e + 1);
+      open += 1;
+    }
+    const members = open <= e ? classMembers(tokens, open, matchingClose(tokens, open, e + 1)) : [];
+    return withExport({ ...base, kind: "class", name, members });
+  }
+  if ((isId(t, "interface") || isId(t, "enum") || isId(t, "namespace") || isId(t, "module")) && tokens[j + 1]?.type !== "punc") {
+    return withExport({ ...base, kind: t.value, name: tokens[j + 1].value });
+  }
+  if (isId(t, "const") && isId(tokens[j + 1], "enum")) {
+    return withExport({ ...base, kind: "enum", name: tokens[j + 2]?.value ?? "" });
+  }
+  if (isId(t, "type") && isId(tokens[j + 1]) && (isPunc(tokens[j + 2], "=") || isPunc(tokens[j + 2], "<"))) {
+    return withExport({ ...base, kind: "type", name: tokens[j + 1].value });
+  }
+  if (isId(t, "const") || isId(t, "let") || isId(t, "var")) {
+    const names = [];
+    let k = j + 1;
+    let firstValue = -1;
+    let depth = 0;
+    let expectBinding = true;
+    for (; k <= e; k += 1) {
+      const u = tokens[k];
+      if (depth === 0 && expectBinding) {
+        if (isPunc(u, "{") || isPunc(u, "[")) {
+          const [more, next] = patternNames(tokens, k, e);
+          names.push(...more);
+          k = next - 1;
+        } else if (isId(u)) names.push(u.value);
+        expectBinding = false;
+        continue;
+      }
+      if (u.type === "punc" && OPEN.has(u.value)) depth += 1;
+      else if (u.type === "punc" && CLOSE.has(u.value)) depth -= 1;
+      else if (depth === 0 && isPunc(u, "=") && firstValue === -1 && !isPunc(tokens[k + 1], ">")) firstValue = k + 1;
+      else if (depth === 0 && isPunc(u, ",")) expectBinding = true;
+    }
+    if (names.length === 0) return null;
+    if (names.length === 1 && firstValue !== -1) {
+      const v = tokens[firstValue];
+      if (isId(v, "require") && isPunc(tokens[firstValue + 1], "(") && tokens[firstValue + 2]?.type === "str") {
+        return { ...base, kind: "import", source: tokens[firstValue + 2].value, names };
+      }
+      if (isFunctionValue(tokens, firstValue, e)) return withExport({ ...base, kind: "function", name: names[0], declaration: t.value });
+    }
+    const destructured = tokens[j + 1] && (isPunc(tokens[j + 1], "{") || isPunc(tokens[j + 1], "["));
+    if (destructured && firstValue !== -1) {
+      const v = tokens[firstValue];
+      if (isId(v, "require") && isPunc(tokens[firstValue + 1], "(") && tokens[firstValue + 2]?.type === "str") {
+        return { ...base, kind: "import", source: tokens[firstValue + 2].value, names };
+      }
+    }
+    return withExport({ ...base, kind: "variable", name: names.join(", "), declaration: t.value });
+  }
+  if (isDefault) return { ...base, kind: "export", names: ["default"] };
+  return null;
+}
+
+/**
+ * Outline of one source file.
+ *
+ * @returns {{ lines: number; items: OutlineItem[]; errors: { text: string; line: number | null; column: number | null }[] }}
+ *
+ * @typedef {{ kind: string; line: number; endLine: number; name?: string; names?: string[]; source?: string; exported?: boolean; default?: boolean; async?: boolean; members?: OutlineItem[] }} OutlineItem
+ */
+export function outlineSource(source, { loader = "ts" } = {}) {
+  const text = String(source ?? "");
+  const errors = syntaxDiagnostics(text, loader);
+  const tokens = tokenize(text);
+  const items = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const declStart = Math.min(skipDecorators(tokens, i, tokens.length - 1), tokens.length - 1);
+    const first = tokens[declStart];
+    const blockish =
+      isId(first) &&
+      DECLARATION_START.test(first.value) &&
+      tokens.slice(declStart, declStart + 6).some((t) => isId(t, "function") || isId(t, "class") || isId(t, "interface") || isId(t, "enum") || isId(t, "namespace"));
+    const end = statementEnd(tokens, declStart, tokens.length, blockish);
+    if (isId(first) && DECLARATION_START.test(first.value)) {
+      const item = describe(tokens, i, end);
+      if (item) items.push(item);
+    }
+    i = end + 1;
+  }
+  const lineCount = text.length === 0 ? 0 : text.split("\n").length - (text.endsWith("\n") ? 1 : 0);
+  return { lines: lineCount, items, errors };
+}
+
+function nameList(names = []) {
+  return names.length === 1 && names[0].startsWith("*") ? names[0] : `{${names.join(", ")}}`;
+}
+
+function range(item) {
+  return item.endLine > item.line ? `${item.line}-${item.endLine}` : `${item.line}`;
+}
+
+/**
+ * One-line-per-symbol rendering used for directory outlines.
+ */
+export function formatOutline(item) {
+  const exp = item.exported ? (item.default ? "export default " : "export ") : "";
+  const asyncKw = item.async ? "async " : "";
+  switch (item.kind) {
+    case "import":
+      return `import ${item.source ?? ""}${item.names?.length ? ` ${nameList(item.names)}` : ""}`;
+    case "export":
+      return `export ${nameList(item.names)}${item.source !== undefined ? ` from ${item.source}` : ""} ${range(item)}`;
+    case "class": {
+      const members = (item.members || []).map((m) => `${m.static ? "static " : ""}${m.name} ${range(m)}`);
+      return `${exp}class ${item.name} ${range(item)}${members.length ? `: ${members.join(", ")}` : ""}`;
+    }
+    case "variable":
+      return `${exp}${item.declaration} ${item.name} ${range(item)}`;
+    default:
+      return `${exp}${asyncKw}${item.kind} ${item.name} ${range(item)}`;
+  }
+}
@@ -0,0 +1,331 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { normPath, isTimePath } from "./path_utils.js";
+import { readTar } from "./tar_format.js";
+import { maxSatisfying, parseVersion } from "./semver.js";
+import { nodeModulesDirs } from "./node_resolve.js";
+import { DEFAULT_MAX_TOTAL_BYTES } from "./host_transfer.js";
+
+const posix = path.posix;
+
+export const LOCKFILE_NAME = "pkg-lock.json";
+
+// Scripts npm would run on install; packages that need them are refused.
+const INSTALL_SCRIPTS = ["preinstall", "install", "postinstall"];
+// Dependencies that only exist to build or load native addons.
+const NATIVE_HELPERS = new Set(["node-gyp-build", "node-gyp", "bindings", "prebuild-install", "node-pre-gyp", "@mapbox/node-pre-gyp", "nan", "node-addon-api"]);
+const MAX_SCAN_DEPTH = 4;
+
+function storeError(code, message) {
+  return Object.assign(new Error(`${code}: ${message}`), { code });
+}
+
+// Tarball manifests by host path; reused while the file's size and mtime are unchanged.
+const manifestCache = new Map();
+
+function manifestOf(files, where) {
+  const pkgJson = files.find((f) => f.rel === "package.json");
+  if (!pkgJson) throw storeError("EINVAL", `${where} has no package.json`);
+  try {
+    return JSON.parse(Buffer.from(pkgJson.data).toString("utf8"));
+  } catch (err) {
+    throw storeError("EINVAL", `${where}: invalid package.json: ${err.message}`);
+  }
+}
+
+// Files of a tarball, without the top-level folder npm puts everything in ("package/").
+function tarballFiles(buf, where) {
+  const files = [];
+  const skipped = [];
+  for (const e of readTar(buf)) {
+    const rel = e.path.split("/").slice(1).join("/");
+    if (!rel || e.type === "dir") continue;
+    const parts = rel.split("/");
+    if (e.path.startsWith("/") || parts.some((p) => p === ".." || p === "")) throw storeError("EACCES", `${where}: unsafe path ${e.path}`);
+    if (e.type !== "file") skipped.push({ path: rel, reason: e.type });
+    else files.push({ rel, data: e.data, mode: e.mode & 0o777, mtime: e.mtime });
+  }
+  return { files, skipped };
+}
+
+async function dirFiles(root) {
+  const files = [];
+  const skipped = [];
+  const walk = async (abs, rel) => {
+    const entries = await fs.readdir(abs, { withFileTypes: true });
+    for (const e of entries) {
+      const childRel = rel ? `${rel}/${e.name}` : e.name;
+      const childAbs = path.join(abs, e.name);
+      if (e.isSymbolicLink()) skipped.push({ path: childRel, reason: "symlink" });
+      else if (e.isDirectory()) await walk(childAbs, childRel);
+      else if (!e.isFile()) skipped.push({ path: childRel, reason: "not a regular file" });
+      else {
+        const st = await fs.stat(childAbs);
+        files.push({ rel: childRel, data: await fs.readFile(childAbs), mode: st.mode & 0o777, mtime: Math.floor(st.mtimeMs) });
+      }
+    }
+  };
+  await walk(root, "");
+  return { files, skipped };
+}
+
+/**
+ * Index an offline package store: `.tgz` files (as written by `npm pack` or downloaded from a
+ * registry) and unpacked package folders (any folder with a package.json, e.g. `<name>/<version>/`),
+ * at any depth up to a few levels. Name and version always come from the package.json.
+ *
+ * @returns {Promise<Map<string, Map<string, { name: string; version: string; kind: "tgz" | "dir"; hostPath: string; rel: string; manifest: any }>>>}
+ */
+export async function scanPackageStore(storeDir) {
+  if (typeof storeDir !== "string" || !storeDir) throw storeError("EINVAL", "no package store configured");
+  const root = path.resolve(storeDir);
+  if (!(await fs.stat(root)).isDirectory()) throw storeError("ENOTDIR", root);
+
+  /** @type {Map<string, Map<string, any>>} */
+  const index = new Map();
+  const add = (rec) => {
+    if (typeof rec.manifest?.name !== "string" || !parseVersion(rec.manifest?.version ?? "")) return;
+    const byVersion = index.get(rec.manifest.name) ?? new Map();
+    // First one wins when the same version is in the store twice.
+    if (!byVersion.has(rec.manifest.version)) byVersion.set(rec.manifest.version, { ...rec, name: rec.manifest.name, version: rec.manifest.version });
+    index.set(rec.manifest.name, byVersion);
+  };
+
+  const walk = async (abs, depth) => {
+    const entries = await fs.readdir(abs, { withFileTypes: true });
+    if (depth > 0 && entries.some((e) => e.isFile() && e.name === "package.json")) {
+      let manifest = null;
+      try {
+        manifest = JSON.parse(await fs.readFile(path.join(abs, "package.json"), "utf8"));
+      } catch {
+        // unreadable package.json; leave the folder out of the index
+      }
+      add({ kind: "dir", hostPath: abs, rel: path.relative(root, abs), manifest });
+      return;
+    }
+    for (const e of entries) {
+      const childAbs = path.join(abs, e.name);
+      if (e.isDirectory() && depth < MAX_SCAN_DEPTH) await walk(childAbs, depth + 1);
+      else if (e.isFile() && e.name.endsWith(".tgz")) {
+        const st = await fs.stat(childAbs);
+        let cached = manifestCache.get(childAbs);
+        if (!cached || cached.size !== st.size || cached.mtimeMs !== st.mtimeMs) {
+          let manifest = null;
+          try {
+            manifest = manifestOf(tarballFiles(await fs.readFile(childAbs), childAbs).files, childAbs);
+          } catch {
+            // not a usable package tarball; leave it out of the index
+          }
+          cached = { size: st.size, mtimeMs: st.mtimeMs, manifest };
+          manifestCache.set(childAbs, cached);
+        }
+        add({ kind: "tgz", hostPath: childAbs, rel: path.relative(root, childAbs), manifest: cached.manifest });
+      }
+    }
+  };
+  await walk(root, 0);
+  return index;
+}
+
+/** Why a package cannot be vendored (install scripts, native addons); empty when it can. */
+export function installBlockers(manifest, files) {
+  const reasons = [];
+  for (const s of INSTALL_SCRIPTS) {
+    if (typeof manifest.scripts?.[s] === "string") reasons.push(`${s} script: ${manifest.scripts[s]}`);
+  }
+  if (manifest.gypfile === true) reasons.push("native addon (gypfile)");
+  for (const f of files) {
+    if (posix.basename(f.rel) === "binding.gyp") reasons.push(`native addon (${f.rel})`);
+    else if (f.rel.endsWith(".node")) reasons.push(`native addon binary (${f.rel})`);
+  }
+  for (const dep of Object.keys({ ...manifest.dependencies, ...manifest.optionalDependencies })) {
+    if (NATIVE_HELPERS.has(dep)) reasons.push(`native addon helper dependency (${dep})`);
+  }
+  return reasons;
+}
+
+/** "lodash@^4", "@scope/pkg@1.2.3", "left-pad" -> { name, range } */
+export function parsePackageSpec(spec, range) {
+  const s = String(spec ?? "").trim();
+  const at = s.lastIndexOf("@");
+  const [name, fromSpec] = at > 0 ? [s.slice(0, at), s.slice(at + 1)] : [s, ""];
+  if (!/^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i.test(name)) throw storeError("EINVAL", `invalid package name: ${s}`);
+  return { name, range: String(range ?? fromSpec ?? "").trim() || "latest" };
+}
+
+function readJsonFile(workspace, p) {
+  if (workspace.stat(p)?.type !== "file") return null;
+  try {
+    return JSON.parse(Buffer.from(workspace.readFile(p)).toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Vendor `spec` (e.g. "zod@^3") and its dependencies from the offline store into
+ * `<root>/node_modules`, npm style: dependencies are hoisted to the top `node_modules` unless another
+ * version already sits there, in which case they nest under the package that needs them. Packages
+ * already installed at a satisfying version are reused.
+ *
+ * Everything is checked before the first write: missing packages, install scripts and native addons
+ * abort the whole add. `<root>/pkg-lock.json` records every vendored package (path, version, store
+ * file, integrity of tarballs). A failure midway restores the workspace.
+ *
+ * @returns {Promise<{ ok: true; dryRun: boolean; name: string; version: string; root: string; lockfile: string; added: { name: string; version: string; path: string; files: number; bytes: number; source: string }[]; reused: { name: string; version: string; path: string }[]; skipped: { name: string; range: string; reason: string }[]; bytes: number }>}
+ */
+export async function addPackage(workspace, { storeDir, spec, version, root = "~/", dryRun = false, maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES }) {
+  const { name, range } = parsePackageSpec(spec, version);
+  const rootDir = normPath(root);
+  if (isTimePath(rootDir)) throw storeError("EACCES", "cannot install into ~/.time/");
+  if (workspace.stat(rootDir)?.type === "file") throw storeError("ENOTDIR", rootDir);
+  const index = await scanPackageStore(storeDir);
+  const inRoot = (dir) => dir === rootDir || dir.startsWith(rootDir === "/" ? "/" : `${rootDir}/`);
+
+  /** @type {Map<string, any>} install dir -> store record */
+  const placed = new Map();
+  const reused = [];
+  const skipped = [];
+
+  const installedVersion = (dir) => placed.get(dir)?.version ?? readJsonFile(workspace, posix.join(dir, "package.json"))?.version ?? null;
+  const pick = (depName, depRange, requiredBy) => {
+    const versions = [...(index.get(depName)?.keys() ?? [])];
+    const best = maxSatisfying(versions, depRange);
+    if (best) return index.get(depName).get(best);
+    const from = requiredBy ? ` (required by ${requiredBy})` : "";
+    const have = versions.length ? ` (store has ${versions.join(", ")})` : "";
+    return { missing: `${depName}@${depRange}${from} is not in the package store${have}` };
+  };
+
+  const top = pick(name, range, null);
+  if (top.missing) throw storeError("ENOENT", top.missing);
+  const topDir = posix.join(rootDir, "node_modules", name);
+  if (installedVersion(topDir) === top.version) reused.push({ name, version: top.version, path: topDir });
+  else placed.set(topDir, top);
+
+  // Breadth-first over dependencies, so shallow packages get the hoisted spots.
+  const queue = placed.has(topDir) ? [topDir] : [];
+  while (queue.length) {
+    const dir = queue.shift();
+    const rec = placed.get(dir);
+    const deps = [
+      ...Object.entries(rec.manifest.dependencies ?? {}).map(([n, r]) => ({ n, r, optional: false })),
+      ...Object.entries(rec.manifest.optionalDependencies ?? {}).map(([n, r]) => ({ n, r, optional: true }))
+    ];
+    for (const { n, r, optional } of deps) {
+      // The copy Node would resolve from this package, if any (nearest node_modules first).
+      const existingDir = nodeModulesDirs(dir)
+        .filter(inRoot)
+        .map((d) => posix.join(d, n))
+        .find((d) => installedVersion(d) !== null);
+      const have = existingDir ? installedVersion(existingDir) : null;
+      let fits = false;
+      try {
+        fits = have !== null && maxSatisfying([have], r) !== null;
+      } catch {
+        // not a semver range; pick() reports it below
+      }
+      if (fits) {
+        if (!placed.has(existingDir) && !reused.some((u) => u.path === existingDir)) reused.push({ name: n, version: have, path: existingDir });
+        continue;
+      }
+
+      let chosen;
+      try {
+        chosen = pick(n, r, `${rec.name}@${rec.version}`);
+      } catch (err) {
+        chosen = { missing: `${n}@${r} (required by ${rec.name}@${rec.version}): ${err.message}` };
+      }
+      if (chosen.missing) {
+        if (!optional) throw storeError("ENOENT", chosen.missing);
+        skipped.push({ name: n, range: r, reason: chosen.missing });
+        continue;
+      }
+      // Hoist unless another version already takes the name on this package's lookup path.
+      const target = existingDir ? posix.join(dir, "node_modules", n) : posix.join(rootDir, "node_modules", n);
+      placed.set(target, chosen);
+      queue.push(target);
+    }
+  }
+
+  // Read everything and check it before touching the workspace.
+  const added = [];
+  const blocked = [];
+  let bytes = 0;
+  for (const [dir, rec] of placed) {
+    const raw = rec.kind === "tgz" ? await fs.readFile(rec.hostPath) : null;
+    const { files, skipped: skippedFiles } = raw ? tarballFiles(raw, rec.hostPath) : await dirFiles(rec.hostPath);
+    const reasons = installBlockers(rec.manifest, files);
+    if (reasons.length) blocked.push(`${rec.name}@${rec.version}: ${reasons.join("; ")}`);
+    const size = files.reduce((n, f) => n + f.data.length, 0);
+    bytes += size;
+    added.push({
+      dir,
+      rec,
+      files,
+      skippedFiles,
+      size,
+      integrity: raw ? `sha512-${createHash("sha512").update(raw).digest("base64")}` : undefined
+    });
+  }
+  if (blocked.length) {
+    throw storeError("EPERM", `refusing packages that need install scripts or native addons: ${blocked.join(" | ")}`);
+  }
+  if (bytes > maxTotalBytes) throw storeError("EFBIG", `${name}@${top.version} and its dependencies are ${bytes} bytes, over the ${maxTotalBytes} byte limit`);
+
+  const lockPath = posix.join(rootDir, LOCKFILE_NAME);
+  if (!dryRun && added.length) {
+    const snapshot = workspace.snapshotTree();
+    try {
+      const lock = readJsonFile(workspace, lockPath) ?? {};
+      const lockPackages = lock.packages && typeof lock.packages === "object" ? lock.packages : {};
+      const rel = (dir) => posix.relative(rootDir, dir);
+      for (const a of added) {
+        workspace.delete(a.dir, { recursive: true, force: true });
+        for (const key of Object.keys(lockPackages)) if (key === rel(a.dir) || key.startsWith(`${rel(a.dir)}/`)) delete lockPackages[key];
+        workspace.mkdir(a.dir, true);
+        for (const f of a.files) {
+          const p = posix.join(a.dir, f.rel);
+          workspace.writeFile(p, f.data, "utf8", true);
+          workspace.files.set(p, { ...workspace.files.get(p), mtime: f.mtime, mode: f.mode || workspace.files.get(p).mode });
+        }
+        lockPackages[rel(a.dir)] = {
+          version: a.rec.version,
+          resolved: a.rec.rel.split(path.sep).join("/"),
+          ...(a.integrity ? { integrity: a.integrity } : {}),
+          ...(a.rec.manifest.dependencies && Object.keys(a.rec.manifest.dependencies).length ? { dependencies: a.rec.manifest.dependencies } : {})
+        };
+      }
+      // Entries whose folder is gone (deleted by hand) are dropped.
+      for (const key of Object.keys(lockPackages)) if (workspace.stat(posix.join(rootDir, key))?.type !== "dir") delete lockPackages[key];
+      const sorted = Object.fromEntries(Object.keys(lockPackages).sort().map((k) => [k, lockPackages[k]]));
+      const requires = { ...(lock.requires ?? {}), [name]: range === "latest" ? `^${top.version}` : range };
+      workspace.writeFile(lockPath, `${JSON.stringify({ lockfileVersion: 1, requires, packages: sorted }, null, 2)}\n`, "utf8", true);
+    } catch (err) {
+      workspace.restoreTree(snapshot);
+      throw err;
+    }
+  }
+
+  return {
+    ok: true,
+    dryRun,
+    name,
+    version: top.version,
+    root: rootDir,
+    lockfile: lockPath,
+    added: added.map((a) => ({
+      name: a.rec.name,
+      version: a.rec.version,
+      path: a.dir,
+      files: a.files.length,
+      bytes: a.size,
+      source: a.rec.rel.split(path.sep).join("/"),
+      ...(a.skippedFiles.length ? { skippedFiles: a.skippedFiles } : {})
+    })),
+    reused,
+    skipped,
+    bytes
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Unified diff parsing and fuzzy hunk application (the subset of GNU patch that LLMs produce).
+ *
+ * Parsing is lenient on purpose: hunk line counts are only used as position hints, a bare "@@"
+ * header is accepted, and blank lines inside a hunk are treated as empty context lines.
+ */
+
+const DEV_NULL = "/dev/null";
+// How far from the expected position a hunk may be found (in lines), per side.
+const MAX_OFFSET = 5000;
+
+function patchError(msg, lineNo) {
+  return Object.assign(new Error(`invalid patch: ${msg}${lineNo ? ` (line ${lineNo})` : ""}`), { code: "EPATCH" });
+}
+
+function headerPath(rest) {
+  // "--- a/src/x.js\t2024-01-01 ..." -> "a/src/x.js"; quoted git paths are unquoted.
+  let p = rest.split("\t")[0].trim();
+  if (p.startsWith('"') && p.endsWith('"')) p = JSON.parse(p);
+  return p;
+}
+
+function stripPrefix(p, strip) {
+  if (p === DEV_NULL) return p;
+  const parts = p.split("/");
+  return parts.slice(Math.min(strip, parts.length - 1)).join("/");
+}
+
+/**
+ * Parse a unified diff into per-file patches.
+ *
+ * `strip` behaves like `patch -p`; by default one leading component is stripped when every path
+ * has git-style `a/` / `b/` prefixes.
+ *
+ * @returns {{ oldPath: string | null; newPath: string | null; hunks: Hunk[] }[]}
+ *
+ * @typedef {{ oldStart: number; oldLines: number | null; header: string; lines: { op: " " | "-" | "+"; text: string }[]; oldNoEol: boolean; newNoEol: boolean }} Hunk
+ */
+export function parsePatch(text, { strip } = {}) {
+  const lines = String(text ?? "").replace(/\r\n/g, "\n").split("\n");
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const startFile = () => {
+    file = { oldPath: null, newPath: null, hunks: [], gitNew: false, gitDeleted: false };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const next = lines[i + 1] ?? "";
+
+    if (line.startsWith("diff --git ")) {
+      startFile();
+      const m = /^diff --git a\/(.+) b\/(.+)$/.exec(line);
+      if (m) {
+        file.oldPath = "a/" + m[1];
+        file.newPath = "b/" + m[2];
+      }
+      continue;
+    }
+    if (line.startsWith("--- ") && next.startsWith("+++ ")) {
+      // A git header already opened this file unless it has hunks.
+      if (!file || file.hunks.length > 0 || file.sawHeader) startFile();
+      file.sawHeader = true;
+      file.oldPath = headerPath(line.slice(4));
+      file.newPath = headerPath(next.slice(4));
+      i += 1;
+      continue;
+    }
+    if (file && !hunk && /^new file mode /.test(line)) {
+      file.gitNew = true;
+      continue;
+    }
+    if (file && !hunk && /^deleted file mode /.test(line)) {
+      file.gitDeleted = true;
+      continue;
+    }
+    if (line.startsWith("@@")) {
+      if (!file) throw patchError("hunk before any file header", i + 1);
+      const m = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+      hunk = {
+        oldStart: m ? Number(m[1]) : null,
+        oldLines: m ? (m[2] === undefined ? 1 : Number(m[2])) : null,
+        header: line,
+        lines: [],
+        oldNoEol: false,
+        newNoEol: false
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue; // "index ...", "similarity ...", commit message text, etc.
+
+    if (line.startsWith("\\")) {
+      const prev = hunk.lines[hunk.lines.length - 1];
+      if (prev?.op === "-") hunk.oldNoEol = true;
+      else if (prev?.op === "+") hunk.newNoEol = true;
+      else if (prev) hunk.oldNoEol = hunk.newNoEol = true;
+      continue;
+    }
+    const op = line[0];
+    if (op === " " || op === "-" || op === "+") hunk.lines.push({ op, text: line.slice(1) });
+    else if (line === "") hunk.lines.push({ op: " ", text: "" });
+    else hunk = null; // trailing garbage ends the hunk
+  }
+
+  // Blank lines after the last real hunk line are separators, not context.
+  for (const f of files) {
+    for (const h of f.hunks) {
+      while (h.lines.length > 0 && h.lines[h.lines.length - 1].op === " " && h.lines[h.lines.length - 1].text === "") {
+        // Keep it if the header's old-line count says it belongs to the hunk.
+        const oldCount = h.lines.filter((l) => l.op !== "+").length;
+        if (h.oldLines !== null && oldCount <= h.oldLines) break;
+        h.lines.pop();
+      }
+    }
+  }
+
+  const real = files.filter((f) => f.oldPath || f.newPath);
+  if (real.length === 0) throw patchError("no file headers found");
+
+  const allPrefixed = real.every(
+    (f) => (f.oldPath === DEV_NULL || f.oldPath?.startsWith("a/")) && (f.newPath === DEV_NULL || f.newPath?.startsWith("b/"))
+  );
+  const p = Number.isInteger(strip) ? strip : allPrefixed ? 1 : 0;
+
+  return real.map((f) => {
+    const oldPath = f.gitNew || f.oldPath === DEV_NULL ? null : stripPrefix(f.oldPath ?? f.newPath, p);
+    const newPath = f.gitDeleted || f.newPath === DEV_NULL ? null : stripPrefix(f.newPath ?? f.oldPath, p);
+    if (!oldPath && !newPath) throw patchError("file patch with neither an old nor a new path");
+    return { oldPath, newPath, hunks: f.hunks };
+  });
+}
+
+function linesEqual(a, b, loose) {
+  return loose ? a.trimEnd() === b.trimEnd() : a === b;
+}
+
+function matchesAt(lines, at, block, loose) {
+  if (at < 0 || at + block.length > lines.length) return false;
+  for (let i = 0; i < block.length; i += 1) if (!linesEqual(lines[at + i], block[i], loose)) return false;
+  return true;
+}
+
+// Nearest position to `expected` (not before `min`) where `block` matches.
+function findBlock(lines, block, expected, min, loose) {
+  const maxAt = lines.length - block.length;
+  const start = Math.max(min, Math.min(expected, maxAt));
+  for (let d = 0; d <= MAX_OFFSET; d += 1) {
+    const down = start + d;
+    const up = start - d;
+    if (down > maxAt && up < min) break;
+    if (down <= maxAt && matchesAt(lines, down, block, loose)) return down;
+    if (d > 0 && up >= min && matchesAt(lines, up, block, loose)) return up;
+  }
+  return -1;
+}
+
+/**
+ * Apply hunks to `lines` (without line terminators). Each hunk is located near its expected
+ * position; with `fuzz` > 0 up to that many leading/trailing context lines may mismatch, and as
+ * a last resort trailing whitespace is ignored. Rejected hunks leave the text unchanged.
+ *
+ * With `eols` (each line's terminator, from `splitLines`), the result's `eols` keeps the terminator
+ * of every line the patch did not add; added lines get null.
+ *
+ * @returns {{ lines: string[]; eols: (string | null)[] | null; hunks: { index: number; ok: boolean; line?: number; offset?: number; fuzz?: number; loose?: boolean; error?: string }[]; finalNewline: boolean | null }}
+ */
+export function applyHunks(lines, hunks, { fuzz = 2, eols = null } = {}) {
+  const out = lines.slice();
+  const outEols = eols ? eols.slice() : null;
+  const report = [];
+  let delta = 0; // lines added minus removed by earlier hunks
+  let minAt = 0; // hunks must not overlap earlier ones
+  let finalNewline = null;
+
+  hunks.forEach((h, index) => {
+    let lead = 0;
+    while (lead < h.lines.length && h.lines[lead].op === " ") lead += 1;
+    let trail = 0;
+    while (trail < h.lines.length - lead && h.lines[h.lines.length - 1 - trail].op === " ") trail += 1;
+
+    // "-5,0" means "insert after line 5"; otherwise the hunk starts at line 5.
+    const anchor = h.oldStart === null ? null : h.oldLines === 0 ? h.oldStart + delta : h.oldStart - 1 + delta;
+    const expected = anchor === null ? minAt : Math.max(0, anchor);
+    let found = null;
+
+    search: for (const loose of [false, true]) {
+      for (let f = 0; f <= fuzz; f += 1) {
+        const cutLead = Math.min(f, lead);
+        const cutTrail = Math.min(f, trail);
+        if (f > 0 && cutLead === 0 && cutTrail === 0) break;
+        const body = h.lines.slice(cutLead, h.lines.length - cutTrail);
+        const oldBlock = body.filter((l) => l.op !== "+").map((l) => l.text);
+        // A pure insertion without context goes exactly where the header says.
+        const at =
+          oldBlock.length === 0
+            ? Math.min(out.length, anchor === null ? out.length : Math.max(minAt, expected))
+            : findBlock(out, oldBlock, expected + cutLead, minAt, loose);
+        if (at === -1) continue;
+        found = { at, body, cutLead, oldCount: oldBlock.length, fuzz: f, loose };
+        break search;
+      }
+    }
+
+    if (!found) {
+      report.push({ index, ok: false, error: "context not found" });
+      return;
+    }
+
+    const newBlock = found.body.filter((l) => l.op !== "-").map((l) => l.text);
+    // Loose matches keep the file's own version of context lines.
+    const replaced = [];
+    const replacedEols = [];
+    let src = found.at;
+    for (const l of found.body) {
+      if (l.op === "+") {
+        replaced.push(l.text);
+        replacedEols.push(null);
+      } else if (l.op === " ") {
+        replacedEols.push(outEols?.[src] ?? null);
+        replaced.push(out[src++]);
+      } else src += 1;
+    }
+    out.splice(found.at, found.oldCount, ...(found.loose ? replaced : newBlock));
+    outEols?.splice(found.at, found.oldCount, ...replacedEols);
+
+    const hunkStart = found.at - found.cutLead;
+    report.push({
+      index,
+      ok: true,
+      line: found.at + 1,
+      offset: anchor === null ? 0 : hunkStart - anchor,
+      fuzz: found.fuzz,
+      ...(found.loose ? { loose: true } : {})
+    });
+
+    delta += newBlock.length - found.oldCount;
+    minAt = found.at + newBlock.length;
+    if (h.newNoEol) finalNewline = false;
+    else if (h.oldNoEol && minAt === out.length) finalNewline = true;
+  });
+
+  return { lines: out, eols: outEols, hunks: report, finalNewline };
+}
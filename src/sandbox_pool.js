@@ -0,0 +1,284 @@
+import { spawn, fork } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { isTimePath } from "./path_utils.js";
+
+const SANDBOX_RUNNER_PATH = fileURLToPath(new URL("./sandbox_runner.js", import.meta.url));
+// Host-side cap on the runner's own stderr (V8 crash reports and the like).
+const MAX_RUNNER_STDERR_BYTES = 64 * 1024;
+
+export const DEFAULT_POOL_OPTIONS = Object.freeze({ workers: 1, maxRunsPerWorker: 50 });
+
+function timedOut(wallTimeoutMs, extra) {
+  return {
+    ok: false,
+    exitCode: 124,
+    error: `Sandbox timed out after ${wallTimeoutMs}ms`,
+    limitExceeded: { kind: "timeout", limit: wallTimeoutMs, message: "runner killed by the wall-clock timeout" },
+    ...extra
+  };
+}
+
+// V8 aborts the runner when the heap limit is hit; there is no response then.
+function outOfMemory(code, signal, stderr, maxHeapMb) {
+  if (signal !== "SIGABRT" && code !== 134 && !/heap out of memory/i.test(stderr)) return null;
+  return {
+    ok: false,
+    exitCode: 134,
+    error: `Sandbox ran out of memory (heap limit ${maxHeapMb} MB)`,
+    limitExceeded: { kind: "memory", limit: maxHeapMb, message: `heap limit of ${maxHeapMb} MB exceeded` },
+    stdout: "",
+    stderr
+  };
+}
+
+function capStderr(stream, sink) {
+  stream.setEncoding("utf8");
+  stream.on("data", (d) => {
+    if (sink.stderr.length < MAX_RUNNER_STDERR_BYTES) sink.stderr += d.slice(0, MAX_RUNNER_STDERR_BYTES - sink.stderr.length);
+  });
+}
+
+// Calls `onEvent` without letting a failing consumer break the run.
+function eventSink(onEvent) {
+  return (event) => {
+    try {
+      onEvent(event);
+    } catch {
+      // ignore consumer errors
+    }
+  };
+}
+
+/**
+ * One-shot run: spawn `sandbox_runner.js`, send `req` (v1 or v2, see `sandbox_runner.js`) on stdin,
+ * parse its stdout. With `onEvent` the run streams NDJSON events, passed on as they arrive.
+ */
+export function runSandbox(req, { wallTimeoutMs, maxHeapMb, onEvent = null }) {
+  return new Promise((resolve) => {
+    const emit = onEvent && eventSink(onEvent);
+    const child = spawn(process.execPath, [`--max-old-space-size=${maxHeapMb}`, SANDBOX_RUNNER_PATH], {
+      stdio: ["pipe", "pipe", "pipe"],
+      env: { NODE_OPTIONS: "" }
+    });
+
+    let stdout = "";
+    let streamed = null;
+    const err = { stderr: "" };
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (d) => {
+      stdout += d;
+      if (!emit) return;
+      // Hand over complete lines; keep only the unfinished tail (the final `done` line stays whole).
+      const lines = stdout.split("\n");
+      stdout = lines.pop();
+      for (const line of lines) {
+        if (!line) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (event?.type === "done") streamed = event.response;
+        else emit(event);
+      }
+    });
+    capStderr(child.stderr, err);
+
+    let killed = false;
+    const timer = setTimeout(() => {
+      killed = true;
+      child.kill("SIGKILL");
+    }, wallTimeoutMs);
+
+    child.on("error", (e) => {
+      clearTimeout(timer);
+      resolve({
+        ok: false,
+        exitCode: 1,
+        error: `Failed to spawn sandbox_runner: ${String(e?.message || e)}`,
+        stdout,
+        stderr: err.stderr
+      });
+    });
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (killed) {
+        resolve(timedOut(wallTimeoutMs, { signal, stdout, stderr: err.stderr }));
+        return;
+      }
+      const oom = stdout || streamed ? null : outOfMemory(code, signal, err.stderr, maxHeapMb);
+      if (oom) {
+        resolve(oom);
+        return;
+      }
+
+      let resp = streamed;
+      try {
+        resp ??= JSON.parse(stdout || "{}");
+      } catch (e) {
+        resolve({
+          ok: false,
+          exitCode: code ?? 1,
+          error: `Failed to parse sandbox response: ${String(e?.message || e)}`,
+          stdout,
+          stderr: err.stderr
+        });
+        return;
+      }
+      resolve({
+        ok: true,
+        exitCode: code ?? 0,
+        resp,
+        stdout,
+        stderr: err.stderr
+      });
+    });
+
+    child.stdin.write(JSON.stringify(req));
+    child.stdin.end();
+  });
+}
+
+/**
+ * Pool of long-lived `sandbox_runner.js --worker` processes (IPC, structured clone, no base64).
+ *
+ * Each worker keeps its own copy of the workspace and warm esbuild contexts. A run sends only the
+ * entries that changed since that worker last saw the workspace (the whole ZIP on its first run) and
+ * gets back only what the script changed, which `run()` applies to `workspace`. `~/.time/` is never
+ * sent, not even in the first run's ZIP. A worker is replaced after a timeout, a crash or `maxRunsPerWorker` runs; idle workers do not
+ * keep the host process alive.
+ */
+export function createSandboxPool({
+  workers = DEFAULT_POOL_OPTIONS.workers,
+  maxRunsPerWorker = DEFAULT_POOL_OPTIONS.maxRunsPerWorker,
+  maxHeapMb
+}) {
+  const idle = [];
+  const waiting = [];
+  const all = new Set();
+  let nextRunId = 1;
+  let closed = false;
+
+  function startWorker() {
+    const child = fork(SANDBOX_RUNNER_PATH, ["--worker"], {
+      execArgv: [`--max-old-space-size=${maxHeapMb}`],
+      serialization: "advanced",
+      stdio: ["ignore", "ignore", "pipe", "ipc"],
+      env: { NODE_OPTIONS: "" }
+    });
+    const w = { child, runs: 0, base: null, stderr: "", pending: null, exited: false };
+    capStderr(child.stderr, w);
+    child.on("message", (msg) => w.pending?.message(msg));
+    child.on("error", (err) => w.pending?.error(err));
+    child.on("exit", (code, signal) => {
+      w.exited = true;
+      all.delete(w);
+      w.pending?.exit(code, signal);
+    });
+    child.unref();
+    child.channel?.unref();
+    child.stderr.unref?.();
+    all.add(w);
+    return w;
+  }
+
+  function acquire() {
+    // An idle worker may have died since its last run (OOM kill, crash after replying); start a fresh one.
+    while (idle.length) {
+      const w = idle.pop();
+      if (!w.exited && w.child.connected) return Promise.resolve(w);
+      all.delete(w);
+      if (!w.exited) w.child.kill("SIGKILL");
+    }
+    if (all.size < workers) return Promise.resolve(startWorker());
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release(w, { recycle }) {
+    if (recycle || w.exited || w.runs >= maxRunsPerWorker) {
+      all.delete(w);
+      if (!w.exited) w.child.kill("SIGKILL");
+      if (waiting.length) waiting.shift()(startWorker());
+      return;
+    }
+    if (waiting.length) waiting.shift()(w);
+    else idle.push(w);
+  }
+
+  /**
+   * Same result shape as `runSandbox()`; `resp` is a v2 response whose changes are already applied.
+   * `onEvent` receives the run's streamed events.
+   */
+  async function run(workspace, req, { wallTimeoutMs, onEvent = null }) {
+    if (closed) throw Object.assign(new Error("EPIPE: sandbox pool is closed"), { code: "EPIPE" });
+    const w = await acquire();
+    const sync = w.base ? { changes: workspace.changesSince(w.base, isTimePath) } : { reset: workspace.exportZipBuffer({ skip: isTimePath }) };
+    w.base = workspace.snapshotTree();
+    w.runs += 1;
+    w.stderr = "";
+    const emit = onEvent && eventSink(onEvent);
+
+    const outcome = await new Promise((resolve) => {
+      const id = nextRunId++;
+      const timer = setTimeout(() => resolve({ killed: true }), wallTimeoutMs);
+      const done = (out) => {
+        clearTimeout(timer);
+        resolve(out);
+      };
+      w.pending = {
+        message: (msg) => {
+          if (msg?.id !== id) return;
+          if (msg.type === "event") emit?.(msg.event);
+          else if (msg.type === "result") done({ resp: msg.resp });
+        },
+        exit: (code, signal) => done({ exit: { code, signal } }),
+        error: (err) => done({ error: err })
+      };
+      w.child.send({ type: "run", id, sync, req: { ...req, stream: Boolean(emit) } }, (err) => err && done({ error: err }));
+    });
+    w.pending = null;
+
+    if (outcome.killed) {
+      release(w, { recycle: true });
+      return timedOut(wallTimeoutMs, { stdout: "", stderr: w.stderr });
+    }
+    if (outcome.exit || outcome.error) {
+      release(w, { recycle: true });
+      const { code, signal } = outcome.exit ?? {};
+      return (
+        outOfMemory(code, signal, w.stderr, maxHeapMb) ?? {
+          ok: false,
+          exitCode: code ?? 1,
+          error: outcome.error
+            ? `Sandbox worker failed: ${String(outcome.error?.message || outcome.error)}`
+            : `Sandbox worker exited unexpectedly (${signal ?? `code ${code}`})`,
+          stdout: "",
+          stderr: w.stderr
+        }
+      );
+    }
+
+    const resp = outcome.resp;
+    if (resp?.ok && resp.written) {
+      // Mirror the worker's writes, then record the new entries as what that worker holds.
+      workspace.applyChanges(resp);
+      for (const f of resp.written) w.base.files.set(f.path, workspace.files.get(f.path));
+      for (const p of resp.deleted) w.base.files.delete(p);
+      for (const d of resp.mkdirs) w.base.dirs.set(d.path, workspace.dirs.get(d.path));
+      for (const p of resp.rmdirs) w.base.dirs.delete(p);
+    }
+    release(w, { recycle: resp?.limitExceeded?.kind === "timeout" });
+    return { ok: true, exitCode: 0, resp, stdout: "", stderr: w.stderr };
+  }
+
+  function close() {
+    closed = true;
+    for (const w of all) w.child.kill("SIGKILL");
+    all.clear();
+    idle.length = 0;
+  }
+
+  return { run, close };
+}
@@ -1,8 +1,24 @@
 import esbuild from "esbuild";
-import { ZipWorkspace } from "./workspace.js";
-import { normPath, TIME_DIR } from "./path_utils.js";
+import { ZipWorkspace, DEFAULT_FILE_MODE, DEFAULT_DIR_MODE } from "./workspace.js";
+import { normPath, dirname, isTimePath, TIME_DIR } from "./path_utils.js";
 import { workspaceResolverPlugin, blockNonRelativeImportsPlugin } from "./esbuild_plugins.js";
 import { runBundledCjs } from "./vm_runner.js";
+import { extractInlineSourceMap } from "./source_map.js";
+import { toDiagnostic, buildFailureMessage } from "./diagnostics.js";
+import { loadTsconfig } from "./tsconfig.js";
+import { globWorkspace } from "./glob.js";
+
+/**
+ * Resource limits for one run; the host passes them as `req.limits` (heap via the child's
+ * --max-old-space-size). Output caps apply to stdout and stderr separately.
+ */
+export const DEFAULT_EXEC_LIMITS = Object.freeze({
+  timeoutMs: 1500,
+  maxHeapMb: 256,
+  maxOutputBytes: 64 * 1024,
+  maxWriteBytes: 64 * 1024 * 1024,
+  maxFiles: 2000
+});
 
 // --- Helpers ---
 function readAllStdin() {
@@ -15,12 +31,58 @@ function readAllStdin() {
   });
 }
 
-function makeVfs(workspace) {
+/**
+ * `usage` collects bytes written and entries created; a write over `limits` throws ENOSPC/EDQUOT
+ * inside the script and records `usage.limitExceeded` (even if the script catches the error).
+ * `onChange` gets an `fsWrite` event after each successful mutation.
+ */
+function makeVfs(
+  workspace,
+  limits = DEFAULT_EXEC_LIMITS,
+  usage = { writeBytes: 0, created: 0, limitExceeded: null },
+  onChange = null
+) {
   const isBlocked = (p) => {
     const n = normPath(p);
     return n === TIME_DIR || n.startsWith(TIME_DIR + "/");
   };
 
+  const exceeded = (kind, limit, code, message) => {
+    usage.limitExceeded ??= { kind, limit, message };
+    return Object.assign(new Error(`${code}: ${message}`), { code });
+  };
+  // Checks and then books a write of `bytes` that creates `created` new files/dirs.
+  const charge = (bytes, created) => {
+    if (usage.writeBytes + bytes > limits.maxWriteBytes) {
+      throw exceeded("writeBytes", limits.maxWriteBytes, "ENOSPC", `sandbox write limit of ${limits.maxWriteBytes} bytes exceeded`);
+    }
+    if (usage.created + created > limits.maxFiles) {
+      throw exceeded("files", limits.maxFiles, "EDQUOT", `sandbox limit of ${limits.maxFiles} created files/dirs exceeded`);
+    }
+    usage.writeBytes += bytes;
+    usage.created += created;
+  };
+  const missingDirs = (p) => {
+    let n = 0;
+    for (let d = normPath(p); d !== "/" && !workspace.stat(d); d = dirname(d)) n += 1;
+    return n;
+  };
+  const treeUsage = (from) => {
+    const src = normPath(from);
+    const st = workspace.stat(src);
+    if (!st) return { bytes: 0, count: 0 };
+    if (st.type === "file") return { bytes: st.size, count: 1 };
+    let bytes = 0;
+    let count = 1;
+    for (const f of workspace.files.keys()) {
+      if (!f.startsWith(src + "/")) continue;
+      bytes += workspace.stat(f).size;
+      count += 1;
+    }
+    for (const d of workspace.dirs.keys()) if (d.startsWith(src + "/")) count += 1;
+    return { bytes, count };
+  };
+
   return {
     readFile: (p, enc = null) => {
       if (isBlocked(p)) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
@@ -28,7 +90,10 @@ function makeVfs(workspace) {
     },
     writeFile: (p, data, enc = "utf8") => {
       if (isBlocked(p)) throw Object.assign(new Error("EACCES"), { code: "EACCES" });
-      return workspace.writeFile(p, data, enc, true);
+      const bytes = typeof data === "string" ? Buffer.byteLength(data, enc) : data?.byteLength ?? 0;
+      charge(bytes, (workspace.stat(p) ? 0 : 1) + missingDirs(dirname(p)));
+      workspace.writeFile(p, data, enc, true);
+      onChange?.({ type: "fsWrite", op: "write", path: normPath(p), bytes });
     },
     readdir: (p) => {
       const n = normPath(p);
@@ -43,80 +108,300 @@ function makeVfs(workspace) {
     },
     mkdir: (p, recursive = false) => {
       if (isBlocked(p)) throw Object.assign(new Error("EACCES"), { code: "EACCES" });
-      return workspace.mkdir(p, recursive);
+      charge(0, missingDirs(p));
+      workspace.mkdir(p, recursive);
+      onChange?.({ type: "fsWrite", op: "mkdir", path: normPath(p) });
     },
-    deletePath: (p) => {
+    deletePath: (p, opts = {}) => {
       if (isBlocked(p)) throw Object.assign(new Error("EACCES"), { code: "EACCES" });
-      return workspace.delete(p);
+      if (normPath(p) === "/") throw Object.assign(new Error("EPERM"), { code: "EPERM" });
+      const removed = workspace.delete(p, { recursive: !!opts.recursive, force: !!opts.force });
+      if (removed.files || removed.dirs) onChange?.({ type: "fsWrite", op: "delete", path: normPath(p) });
+    },
+    glob: (patterns, opts = {}) => {
+      const cwd = normPath(typeof opts.cwd === "string" ? opts.cwd : "/");
+      if (isBlocked(cwd)) return [];
+      return globWorkspace(workspace, patterns, { base: cwd, dot: !!opts.dot })
+        .map((m) => m.rel)
+        .sort();
+    },
+    rename: (from, to) => {
+      if (isBlocked(from) || isBlocked(to)) throw Object.assign(new Error("EACCES"), { code: "EACCES" });
+      workspace.rename(from, to, { overwrite: true });
+      onChange?.({ type: "fsWrite", op: "rename", path: normPath(to), from: normPath(from) });
+    },
+    copy: (from, to, opts = {}) => {
+      if (isBlocked(from) || isBlocked(to)) throw Object.assign(new Error("EACCES"), { code: "EACCES" });
+      const { bytes, count } = treeUsage(from);
+      charge(bytes, count);
+      workspace.copy(from, to, {
+        overwrite: opts.overwrite !== false,
+        errorOnExist: !!opts.errorOnExist,
+        recursive: !!opts.recursive
+      });
+      onChange?.({ type: "fsWrite", op: "copy", path: normPath(to), from: normPath(from), bytes });
     }
   };
 }
 
-async function main() {
+const BUILD_OPTIONS = {
+  entryPoints: ["__entry__"], // intercepted by workspaceResolverPlugin
+  bundle: true,
+  write: false,
+  platform: "node",
+  format: "cjs",
+  target: ["node20"],
+  // Decoded by vm_runner to report workspace file positions in stacks.
+  sourcemap: "inline",
+  logLevel: "silent"
+};
+// Warm esbuild contexts kept by a worker, one per entry path and tsconfig settings.
+const MAX_BUILD_CONTEXTS = 8;
+
+/**
+ * Bundle `entryNorm` from `ws`, with the settings of `~/tsconfig.json` / `~/jsconfig.json` if there is
+ * one (an unusable config fails the build like an esbuild error). With `contexts` (worker mode) the
+ * esbuild context for the entry and config is reused, so unchanged files are not parsed again.
+ */
+async function bundleEntry(ws, entryNorm, contexts = null) {
+  const tsconfig = loadTsconfig(ws);
+  if (tsconfig.errors.length) {
+    throw Object.assign(new Error(`Invalid ~${tsconfig.file}`), { errors: tsconfig.errors, warnings: [] });
+  }
+  const settings = tsconfig.settings;
+  const options = {
+    ...BUILD_OPTIONS,
+    ...(settings
+      ? {
+          target: settings.target ? [...BUILD_OPTIONS.target, settings.target] : BUILD_OPTIONS.target,
+          tsconfigRaw: settings.tsconfigRaw,
+          define: settings.define
+        }
+      : {}),
+    plugins: [workspaceResolverPlugin(ws, entryNorm, { tsconfig: settings }), blockNonRelativeImportsPlugin()]
+  };
+  let buildResult;
+  if (!contexts) {
+    buildResult = await esbuild.build(options);
+  } else {
+    const key = `${entryNorm}\0${JSON.stringify(settings)}`;
+    const ctx = contexts.get(key) ?? (await esbuild.context(options));
+    contexts.delete(key);
+    contexts.set(key, ctx);
+    for (const [k, old] of contexts) {
+      if (contexts.size <= MAX_BUILD_CONTEXTS) break;
+      contexts.delete(k);
+      await old.dispose();
+    }
+    buildResult = await ctx.rebuild();
+  }
+  const outFile = buildResult.outputFiles?.[0];
+  if (!outFile) throw new Error("esbuild produced no output");
+  const { code, map } = extractInlineSourceMap(outFile.text);
+  return { code, map, warnings: buildResult.warnings };
+}
+
+/**
+ * Bundle and run one request against `ws`, which the script changes in place. The response has no
+ * workspace payload; the caller adds the ZIP (one-shot) or the changes (worker). `emit` receives
+ * `progress`, `stdout`, `stderr` and `fsWrite` events while the request runs.
+ */
+async function runRequest(ws, req, contexts = null, emit = null) {
+  const entryPath = req.entryPath || "~/main.ts";
+  const argv = Array.isArray(req.argv) ? req.argv : [];
+  const env = req.env && typeof req.env === "object" ? req.env : {};
+  const timeoutMs = Number.isFinite(req.timeoutMs) ? req.timeoutMs : DEFAULT_EXEC_LIMITS.timeoutMs;
+  const limits = { ...DEFAULT_EXEC_LIMITS, ...(req.limits && typeof req.limits === "object" ? req.limits : {}) };
+  const timing = { bundleMs: 0, runMs: 0 };
+
+  // Build (bundle) from workspace
+  emit?.({ type: "progress", phase: "bundle" });
+  let t0 = Date.now();
+  let bundled;
+  let sourceMap;
+  let diagnostics;
   try {
-    const raw = await readAllStdin();
-    const req = JSON.parse(raw || "{}");
+    const build = await bundleEntry(ws, normPath(entryPath), contexts);
+    bundled = build.code;
+    sourceMap = build.map;
+    diagnostics = build.warnings.map((m) => toDiagnostic(m, "warning"));
+  } catch (err) {
+    if (!Array.isArray(err?.errors)) throw err;
+    timing.bundleMs = Date.now() - t0;
+    // The diagnostics carry everything useful; esbuild's message blob and host stack do not.
+    diagnostics = [...err.errors.map((m) => toDiagnostic(m, "error")), ...(err.warnings ?? []).map((m) => toDiagnostic(m, "warning"))];
+    return {
+      ok: false,
+      error: buildFailureMessage(diagnostics),
+      exitCode: 1,
+      diagnostics,
+      timing
+    };
+  }
+  timing.bundleMs = Date.now() - t0;
+  emit?.({ type: "progress", phase: "run", bundleMs: timing.bundleMs });
+
+  // Run in vm
+  t0 = Date.now();
+  const usage = { writeBytes: 0, created: 0, limitExceeded: null };
+  const vfs = makeVfs(ws, limits, usage, emit);
+  const run = await runBundledCjs({
+    code: bundled,
+    filename: "bundle.cjs",
+    vfs,
+    argv,
+    env,
+    timeoutMs,
+    maxOutputBytes: limits.maxOutputBytes,
+    sourceMap,
+    onOutput: emit && ((stream, text) => emit({ type: stream, text }))
+  });
+  timing.runMs = Date.now() - t0;
 
-    const zipBase64 = req.zipBase64 || "";
-    const entryPath = req.entryPath || "~/main.ts";
-    const argv = Array.isArray(req.argv) ? req.argv : [];
-    const env = req.env && typeof req.env === "object" ? req.env : {};
-    const timeoutMs = Number.isFinite(req.timeoutMs) ? req.timeoutMs : 1500;
-
-    const zipBuf = zipBase64 ? Buffer.from(zipBase64, "base64") : Buffer.from([]);
-    const ws = new ZipWorkspace(zipBuf.length ? zipBuf : null);
-
-    // Build (bundle) from workspace
-    const entryNorm = normPath(entryPath);
-    const buildResult = await esbuild.build({
-      entryPoints: ["__entry__"], // intercepted by workspaceResolverPlugin
-      bundle: true,
-      write: false,
-      platform: "node",
-      format: "cjs",
-      target: ["node20"],
-      plugins: [
-        workspaceResolverPlugin(ws, entryNorm),
-        blockNonRelativeImportsPlugin()
-      ],
-      logLevel: "silent"
-    });
-
-    const outFile = buildResult.outputFiles?.[0];
-    if (!outFile) throw new Error("esbuild produced no output");
-    const bundled = outFile.text;
-
-    // Run in vm
-    const vfs = makeVfs(ws);
-    const run = runBundledCjs({
-      code: bundled,
-      filename: "bundle.cjs",
-      vfs,
-      argv,
-      env,
-      timeoutMs
-    });
-
-    const outZip = ws.exportZipBuffer();
-    const resp = {
-      ok: true,
+  // A timed-out run is discarded (like the host's wall-clock kill); a crash keeps its writes, as in Node.
+  if (run.timedOut) {
+    const error = `Sandbox timed out after ${timeoutMs}ms (pending timers or a long-running callback)`;
+    return {
+      ok: false,
+      error,
+      exitCode: 124,
       stdout: run.stdout,
       stderr: run.stderr,
-      exitCode: 0,
-      zipBase64: outZip.toString("base64")
+      limitExceeded: { kind: "timeout", limit: timeoutMs, message: error },
+      diagnostics,
+      timing
     };
-    process.stdout.write(JSON.stringify(resp));
+  }
+
+  const limitExceeded = usage.limitExceeded ?? run.limitExceeded;
+  return {
+    ok: true,
+    stdout: run.stdout,
+    stderr: run.stderr,
+    exitCode: run.exitCode,
+    ...(limitExceeded ? { limitExceeded } : {}),
+    diagnostics,
+    timing
+  };
+}
+
+function errorResponse(err) {
+  return {
+    ok: false,
+    error: String(err?.message || err),
+    stack: err?.stack || "",
+    exitCode: 1
+  };
+}
+
+// --- Protocol v2: file map or base ZIP + overlay in, changes out ---
+
+const b64 = (data) => Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString("base64");
+
+/** JSON changes (base64 `data`, optional metadata) -> the shape `ZipWorkspace.applyChanges()` takes. */
+export function decodeChanges({ written = [], deleted = [], mkdirs = [], rmdirs = [] } = {}) {
+  const now = Date.now();
+  const meta = (e, mode) => ({
+    mtime: Number.isFinite(e.mtime) ? e.mtime : now,
+    mode: Number.isInteger(e.mode) ? e.mode : mode,
+    comment: typeof e.comment === "string" ? e.comment : ""
+  });
+  return {
+    written: written.map((f) => ({ path: normPath(f.path), data: Buffer.from(f.data ?? "", "base64"), ...meta(f, DEFAULT_FILE_MODE) })),
+    deleted: deleted.map((p) => normPath(p)),
+    mkdirs: mkdirs.map((d) => (typeof d === "string" ? { path: normPath(d), ...meta({}, DEFAULT_DIR_MODE) } : { ...meta(d, DEFAULT_DIR_MODE), path: normPath(d.path) })),
+    rmdirs: rmdirs.map((p) => normPath(p))
+  };
+}
+
+function encodeChanges({ written, deleted, mkdirs, rmdirs }) {
+  return { written: written.map((f) => ({ ...f, data: b64(f.data) })), deleted, mkdirs, rmdirs };
+}
+
+/** v2 `files`: `{ "~/a.ts": "text" | { data: "<base64>", mtime?, mode? } }`. */
+function filesToChanges(files) {
+  const written = Object.entries(files).map(([path, v]) =>
+    typeof v === "string" ? { path, data: Buffer.from(v, "utf8").toString("base64") } : { ...v, path }
+  );
+  return decodeChanges({ written });
+}
+
+/**
+ * v1 (no `version`): `zipBase64` in, whole updated `zipBase64` out.
+ * v2: `files`, or `zipBase64` plus an optional `overlay` (same shape as the returned changes); the
+ * response carries `written`/`deleted`/`mkdirs`/`rmdirs` relative to that input instead of a ZIP.
+ * With `stream: true` (either version) stdout is NDJSON: events as they happen, then
+ * `{ type: "done", response }`.
+ */
+async function main() {
+  const t0 = Date.now();
+  let version = 1;
+  let stream = false;
+  const emit = (event) => process.stdout.write(JSON.stringify(event) + "\n");
+  const reply = (resp) => (stream ? emit({ type: "done", response: resp }) : process.stdout.write(JSON.stringify(resp)));
+  try {
+    const raw = await readAllStdin();
+    const req = JSON.parse(raw || "{}");
+    version = req.version ?? 1;
+    stream = req.stream === true;
+    if (version !== 1 && version !== 2) throw Object.assign(new Error(`EPROTO: unsupported protocol version ${version}`), { code: "EPROTO" });
+
+    const zipBuf = req.zipBase64 ? Buffer.from(req.zipBase64, "base64") : Buffer.from([]);
+    // Lazy: only files the bundle or the script actually touch get inflated; the rest are copied back verbatim.
+    const ws = new ZipWorkspace(zipBuf.length ? zipBuf : null, { lazy: true });
+    if (version === 2) {
+      if (req.files && typeof req.files === "object") ws.applyChanges(filesToChanges(req.files));
+      if (req.overlay && typeof req.overlay === "object") ws.applyChanges(decodeChanges(req.overlay));
+    }
+    const before = ws.snapshotTree();
+    const loadMs = Date.now() - t0;
+
+    const resp = await runRequest(ws, req, null, stream ? emit : null);
+    if (version === 1) {
+      if (resp.ok) resp.zipBase64 = ws.exportZipBuffer().toString("base64");
+    } else {
+      Object.assign(resp, { version: 2 }, resp.ok ? encodeChanges(ws.changesSince(before, isTimePath)) : {});
+    }
+    resp.timing = { loadMs, ...resp.timing, totalMs: Date.now() - t0 };
+    reply(resp);
   } catch (err) {
-    const resp = {
-      ok: false,
-      error: String(err?.message || err),
-      stack: err?.stack || "",
-      exitCode: 1
-    };
-    process.stdout.write(JSON.stringify(resp));
+    reply({ ...(version === 2 ? { version: 2 } : {}), ...errorResponse(err) });
   }
 }
 
+/**
+ * Worker mode (`--worker`, forked by `createSandboxPool`): serves runs over IPC against a workspace
+ * copy kept between runs. `sync` is `{ reset: zip }` or `{ changes }` from the host; the result is a
+ * v2 response with raw bytes in `written` (no base64 over IPC), preceded by `{ type: "event" }`
+ * messages when `req.stream` is set. A timed-out run's writes are rolled back.
+ */
+function serveWorker() {
+  const ws = new ZipWorkspace(null, { lazy: true });
+  const contexts = new Map();
+  process.on("message", async (msg) => {
+    if (msg?.type !== "run") return;
+    let resp;
+    let before = null;
+    try {
+      if (msg.sync?.reset) ws.importZip(msg.sync.reset, { lazy: true });
+      else if (msg.sync?.changes) ws.applyChanges(msg.sync.changes);
+      before = ws.snapshotTree();
+      const emit = msg.req?.stream ? (event) => process.send({ type: "event", id: msg.id, event }) : null;
+      resp = await runRequest(ws, msg.req ?? {}, contexts, emit);
+      if (resp.ok) Object.assign(resp, { version: 2 }, ws.changesSince(before, isTimePath));
+      else ws.restoreTree(before);
+    } catch (err) {
+      // The host keeps its tree when a run fails; so must this worker, or the next delta is applied to
+      // files the failed run left behind.
+      if (before) ws.restoreTree(before);
+      resp = errorResponse(err);
+    }
+    process.send({ type: "result", id: msg.id, resp });
+  });
+  process.on("disconnect", () => process.exit(0));
+}
+
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  if (process.argv.includes("--worker") && process.send) serveWorker();
+  else main();
 }
@@ -0,0 +1,264 @@
+import { TIME_DIR } from "./path_utils.js";
+import { crc32 } from "./zip_format.js";
+import { shouldTreatAsText } from "./text_format.js";
+
+/**
+ * BM25 ranked search over fixed-size line chunks of the workspace's text files.
+ *
+ * The index is pure JS and in-memory: built on first query, then kept current by `update(paths)`
+ * (called by the host after each mutating tool) and a cheap signature check before every search,
+ * which also catches undo/redo/restore. With `persist: true` it is stored at
+ * `~/.time/search-index.json` so a fresh session only re-tokenizes files that changed.
+ */
+
+export const SEARCH_INDEX_PATH = `${TIME_DIR}/search-index.json`;
+const INDEX_VERSION = 1;
+
+const CHUNK_LINES = 30;
+const CHUNK_STEP = 20; // consecutive chunks overlap by 10 lines
+const MAX_FILE_BYTES = 2_000_000;
+const MAX_TOKEN_LENGTH = 64;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function isUserFile(p) {
+  return !(p === TIME_DIR || p.startsWith(TIME_DIR + "/"));
+}
+
+/**
+ * Lowercased terms of `text`. Identifiers are indexed whole and split into their camelCase /
+ * snake_case parts, so "parseZipEntries" is found by "zip" and by "parsezipentries".
+ */
+export function tokenize(text) {
+  const out = [];
+  for (const m of String(text).matchAll(/[\p{L}\p{N}_$]+/gu)) {
+    const word = m[0];
+    if (word.length > MAX_TOKEN_LENGTH) continue;
+    if (word.length >= 2) out.push(word.toLowerCase());
+    const parts = word.split(/[_$]+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u).filter((s) => s.length >= 2);
+    if (parts.length > 1) for (const part of parts) out.push(part.toLowerCase());
+  }
+  return out;
+}
+
+function termFreqs(tokens) {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) ?? 0) + 1);
+  return tf;
+}
+
+// Content signature of a workspace file entry; cheap for entries that still have their ZIP CRC.
+function signature(entry) {
+  const size = entry.data ? entry.data.length : entry.zip.size;
+  const crc = entry.zip ? entry.zip.crc : crc32(entry.data);
+  return `${size}:${crc}`;
+}
+
+/**
+ * @param {import("./workspace.js").ZipWorkspace} workspace
+ * @param {{ persist?: boolean }} [opts]
+ */
+export function createSearchIndex(workspace, { persist = false } = {}) {
+  /** @type {Map<string, { entry: object | null; sig: string; chunks: number[] }>} */
+  const files = new Map();
+  /** @type {Map<number, { path: string; startLine: number; endLine: number; len: number; tf: Map<string, number> }>} */
+  const chunks = new Map();
+  /** @type {Map<string, Set<number>>} */
+  const postings = new Map();
+  let nextId = 1;
+  let totalLen = 0;
+  let built = false;
+  let dirty = false;
+
+  function addChunk(path, startLine, endLine, tf) {
+    const id = nextId;
+    nextId += 1;
+    let len = 0;
+    for (const n of tf.values()) len += n;
+    chunks.set(id, { path, startLine, endLine, len, tf });
+    totalLen += len;
+    for (const term of tf.keys()) {
+      let set = postings.get(term);
+      if (!set) postings.set(term, (set = new Set()));
+      set.add(id);
+    }
+    return id;
+  }
+
+  function removeFile(path) {
+    const rec = files.get(path);
+    if (!rec) return;
+    for (const id of rec.chunks) {
+      const c = chunks.get(id);
+      if (!c) continue;
+      totalLen -= c.len;
+      for (const term of c.tf.keys()) {
+        const set = postings.get(term);
+        set?.delete(id);
+        if (set && set.size === 0) postings.delete(term);
+      }
+      chunks.delete(id);
+    }
+    files.delete(path);
+    dirty = true;
+  }
+
+  function indexFile(path, entry) {
+    removeFile(path);
+    const rec = { entry, sig: signature(entry), chunks: [] };
+    files.set(path, rec);
+    dirty = true;
+
+    const size = entry.data ? entry.data.length : entry.zip.size;
+    if (size > MAX_FILE_BYTES) return;
+    const bytes = workspace.readFile(path);
+    if (!shouldTreatAsText(bytes)) return;
+
+    const lines = new TextDecoder("utf-8", { fatal: false }).decode(bytes).split("\n");
+    for (let start = 0; start < lines.length; start += CHUNK_STEP) {
+      const end = Math.min(lines.length, start + CHUNK_LINES);
+      const tf = termFreqs(tokenize(lines.slice(start, end).join("\n")));
+      if (tf.size > 0) rec.chunks.push(addChunk(path, start + 1, end, tf));
+      if (end >= lines.length) break;
+    }
+  }
+
+  // Re-index `path` if its content changed since it was indexed; drop it if it is gone.
+  function syncPath(path) {
+    const entry = isUserFile(path) ? workspace.files.get(path) : undefined;
+    if (!entry) {
+      removeFile(path);
+      return;
+    }
+    const rec = files.get(path);
+    if (rec?.entry === entry) return;
+    if (rec && rec.sig === signature(entry)) {
+      rec.entry = entry;
+      return;
+    }
+    indexFile(path, entry);
+  }
+
+  function refresh() {
+    for (const p of Array.from(files.keys())) if (!workspace.files.has(p)) removeFile(p);
+    for (const p of workspace.files.keys()) syncPath(p);
+  }
+
+  function load() {
+    if (!workspace.files.has(SEARCH_INDEX_PATH)) return;
+    let data;
+    try {
+      data = JSON.parse(workspace.readFile(SEARCH_INDEX_PATH, "utf8"));
+    } catch {
+      return; // a corrupt index is simply rebuilt
+    }
+    if (data?.version !== INDEX_VERSION || data.chunkLines !== CHUNK_LINES || data.chunkStep !== CHUNK_STEP) return;
+    for (const [path, f] of Object.entries(data.files || {})) {
+      const rec = { entry: null, sig: String(f.sig), chunks: [] };
+      for (const [startLine, endLine, tf] of f.chunks || []) {
+        rec.chunks.push(addChunk(path, startLine, endLine, new Map(Object.entries(tf))));
+      }
+      files.set(path, rec);
+    }
+  }
+
+  function ensure() {
+    if (built) return;
+    if (persist) load();
+    built = true;
+    dirty = false;
+    refresh();
+  }
+
+  return {
+    get built() {
+      return built;
+    },
+
+    /** True when files were (re)indexed since the index was loaded or last saved. */
+    get dirty() {
+      return dirty;
+    },
+
+    /** Re-index specific paths after a change. No-op until the index has been built. */
+    update(paths) {
+      if (!built) return;
+      for (const p of paths) syncPath(p);
+    },
+
+    /** Write the index into the workspace if persistence is on and something changed. */
+    save() {
+      if (!persist || !built || !dirty) return false;
+      const out = { version: INDEX_VERSION, chunkLines: CHUNK_LINES, chunkStep: CHUNK_STEP, files: {} };
+      for (const [path, rec] of files) {
+        out.files[path] = {
+          sig: rec.sig,
+          chunks: rec.chunks.map((id) => {
+            const c = chunks.get(id);
+            return [c.startLine, c.endLine, Object.fromEntries(c.tf)];
+          })
+        };
+      }
+      workspace.mkdir(TIME_DIR, true);
+      workspace.writeFile(SEARCH_INDEX_PATH, JSON.stringify(out));
+      dirty = false;
+      return true;
+    },
+
+    stats() {
+      ensure();
+      return { files: files.size, chunks: chunks.size, terms: postings.size };
+    },
+
+    /**
+     * Best-matching chunks for `query`, highest BM25 score first.
+     * @returns {{ path: string; startLine: number; endLine: number; score: number; terms: string[] }[]}
+     */
+    search(query, { pathPrefix = "/", limit = 5 } = {}) {
+      ensure();
+      refresh();
+
+      const terms = Array.from(new Set(tokenize(query)));
+      const n = chunks.size;
+      if (terms.length === 0 || n === 0) return [];
+      const avgLen = totalLen / n || 1;
+      const dirPrefix = pathPrefix === "/" ? "/" : pathPrefix + "/";
+      const inScope = (p) => p === pathPrefix || p.startsWith(dirPrefix);
+
+      /** @type {Map<number, { score: number; terms: string[] }>} */
+      const scores = new Map();
+      for (const term of terms) {
+        const ids = postings.get(term);
+        if (!ids) continue;
+        const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5));
+        for (const id of ids) {
+          const c = chunks.get(id);
+          if (!inScope(c.path)) continue;
+          const f = c.tf.get(term);
+          const s = (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * c.len) / avgLen));
+          const acc = scores.get(id);
+          if (acc) {
+            acc.score += s;
+            acc.terms.push(term);
+          } else {
+            scores.set(id, { score: s, terms: [term] });
+          }
+        }
+      }
+
+      const ranked = Array.from(scores, ([id, v]) => ({ id, ...v })).sort(
+        (a, b) => b.score - a.score || a.id - b.id
+      );
+
+      // Overlapping chunks of the same file would mostly repeat each other: keep the best one.
+      const out = [];
+      for (const r of ranked) {
+        const c = chunks.get(r.id);
+        if (out.some((o) => o.path === c.path && o.startLine <= c.endLine && c.startLine <= o.endLine)) continue;
+        out.push({ path: c.path, startLine: c.startLine, endLine: c.endLine, score: Number(r.score.toFixed(4)), terms: r.terms });
+        if (out.length >= limit) break;
+      }
+      return out;
+    }
+  };
+}
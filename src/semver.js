@@ -0,0 +1,130 @@
+/**
+ * Small semver subset for picking package versions from the offline store.
+ *
+ * Ranges: exact versions, `*` / `x` / "" / `latest`, partial versions (`1`, `1.2`, `1.x`), `^`, `~`,
+ * comparators (`>=1.2.0 <2`), hyphen ranges (`1.2 - 1.4`) and `||`. As in npm, prereleases only match
+ * when a comparator in the same set names a prerelease of the same major.minor.patch.
+ */
+
+const VERSION_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function rangeError(range) {
+  return Object.assign(new Error(`EINVAL: unsupported version range: ${range}`), { code: "EINVAL" });
+}
+
+/** "1.2.3-rc.1" -> { major, minor, patch, pre: ["rc", 1] }; null if not a full version. */
+export function parseVersion(v) {
+  const m = VERSION_RE.exec(String(v).trim());
+  if (!m) return null;
+  const pre = m[4] ? m[4].split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [];
+  return { major: Number(m[1]), minor: Number(m[2]), patch: Number(m[3]), pre };
+}
+
+function comparePre(a, b) {
+  if (!a.length || !b.length) return b.length - a.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+    if (typeof a[i] === "number" && typeof b[i] === "number") return a[i] - b[i];
+    if (typeof a[i] === "number") return -1;
+    if (typeof b[i] === "number") return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function compareParsed(a, b) {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch || comparePre(a.pre, b.pre);
+}
+
+export function compareVersions(a, b) {
+  return compareParsed(parseVersion(a), parseVersion(b));
+}
+
+const v = (major, minor, patch, pre = []) => ({ major, minor, patch, pre });
+const isX = (s) => s === undefined || /^[xX*]$/.test(s);
+
+// One range element ("^1.2", ">=1.0.0", "1.x") -> comparators [[op, version]].
+function desugar(token, range) {
+  const m = /^(\^|~>?|>=|<=|>|<|=)?\s*(.*)$/.exec(token);
+  const op = m[1] ?? "";
+  const p = PARTIAL_RE.exec(m[2]);
+  if (!p) throw rangeError(range);
+  if (isX(p[1])) return op === "<" || op === ">" ? [["<", v(0, 0, 0, [0])]] : [];
+
+  const major = Number(p[1]);
+  const minor = isX(p[2]) ? null : Number(p[2]);
+  const patch = minor === null || isX(p[3]) ? null : Number(p[3]);
+  const pre = p[4] && patch !== null ? p[4].split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [];
+  const low = v(major, minor ?? 0, patch ?? 0, pre);
+  // The first version past a partial ("1.2" -> 1.3.0-0).
+  const next = minor === null ? v(major + 1, 0, 0, [0]) : v(major, minor + 1, 0, [0]);
+
+  switch (op) {
+    case "^": {
+      const upper =
+        major > 0 || minor === null
+          ? v(major + 1, 0, 0, [0])
+          : minor > 0 || patch === null
+            ? v(0, minor + 1, 0, [0])
+            : v(0, 0, patch + 1, [0]);
+      return [[">=", low], ["<", upper]];
+    }
+    case "~":
+    case "~>":
+      return [[">=", low], ["<", next]];
+    case ">":
+      return [patch === null ? [">=", next] : [">", low]];
+    case ">=":
+      return [[">=", low]];
+    case "<":
+      return [["<", patch === null ? v(low.major, low.minor, 0, [0]) : low]];
+    case "<=":
+      return [patch === null ? ["<", next] : ["<=", low]];
+    default:
+      return patch === null ? [[">=", low], ["<", next]] : [["=", low]];
+  }
+}
+
+function parseSet(set, range) {
+  const text = set.trim().replace(/(\^|~>?|>=|<=|>|<|=)\s+/g, "$1");
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+  if (hyphen) {
+    const [, from, to] = hyphen;
+    return [...desugar(`>=${from}`, range), ...desugar(`<=${to}`, range)];
+  }
+  return text ? text.split(/\s+/).flatMap((t) => desugar(t, range)) : [];
+}
+
+function test(op, a, b) {
+  const c = compareParsed(a, b);
+  return op === "=" ? c === 0 : op === ">" ? c > 0 : op === ">=" ? c >= 0 : op === "<" ? c < 0 : c <= 0;
+}
+
+/** True if `version` is in `range`. Throws EINVAL for specs that are not ranges (URLs, tags, aliases). */
+export function satisfies(version, range) {
+  const ver = parseVersion(version);
+  if (!ver) return false;
+  const r = String(range ?? "").trim();
+  const sets = r === "latest" ? [[]] : r.split("||").map((s) => parseSet(s, r));
+  return sets.some(
+    (cmps) =>
+      cmps.every(([op, b]) => test(op, ver, b)) &&
+      (!ver.pre.length ||
+        cmps.some(
+          ([, b]) => b.pre.length && b.pre[0] !== 0 && b.major === ver.major && b.minor === ver.minor && b.patch === ver.patch
+        ) ||
+        cmps.some(([op, b]) => op === "=" && compareParsed(b, ver) === 0))
+  );
+}
+
+/** Highest version in `versions` that satisfies `range`, or null. */
+export function maxSatisfying(versions, range) {
+  let best = null;
+  for (const ver of versions) {
+    if (satisfies(ver, range) && (best === null || compareVersions(ver, best) > 0)) best = ver;
+  }
+  return best;
+}
@@ -0,0 +1,78 @@
+import { SourceMap } from "node:module";
+import { displayPath } from "./diagnostics.js";
+
+const INLINE_MAP_RE = /\n\/\/# sourceMappingURL=data:application\/json;base64,([A-Za-z0-9+/=]+)\s*$/;
+
+/**
+ * Split esbuild output built with `sourcemap: "inline"` into the code and the decoded map payload.
+ */
+export function extractInlineSourceMap(code) {
+  const m = INLINE_MAP_RE.exec(code);
+  if (!m) return { code, map: null };
+  try {
+    return { code: code.slice(0, m.index), map: JSON.parse(Buffer.from(m[1], "base64").toString("utf8")) };
+  } catch {
+    return { code, map: null };
+  }
+}
+
+/**
+ * Maps `<filename>:<line>:<col>` positions in stack text back to workspace sources.
+ *
+ * `lineOffset` is the number of lines the runner put in front of the bundle (its CJS wrapper).
+ * Positions are 1-based on both sides, like V8 stack frames.
+ */
+export function createStackMapper(map, { filename, lineOffset = 0 }) {
+  const sm = new SourceMap(map);
+  const sources = map.sources ?? [];
+  const contents = map.sourcesContent ?? [];
+  const escaped = filename.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const positionRe = new RegExp(`${escaped}:(\\d+):(\\d+)`, "g");
+
+  /** @returns {{ source: string; path: string; line: number; column: number } | null} */
+  function lookup(line, column) {
+    const entry = sm.findEntry(line - 1 - lineOffset, column - 1);
+    if (!entry || entry.originalSource === undefined) return null;
+    return {
+      source: entry.originalSource,
+      path: displayPath(entry.originalSource),
+      line: entry.originalLine + 1,
+      column: entry.originalColumn + 1
+    };
+  }
+
+  function remap(text) {
+    if (!text.includes(filename)) return text;
+    return text.replace(positionRe, (whole, l, c) => {
+      const pos = lookup(Number(l), Number(c));
+      return pos ? `${pos.path}:${pos.line}:${pos.column}` : whole;
+    });
+  }
+
+  /** First stack position in `text` that maps into a workspace file. */
+  function firstWorkspacePosition(text) {
+    for (const m of text.matchAll(positionRe)) {
+      const pos = lookup(Number(m[1]), Number(m[2]));
+      if (pos?.source.startsWith("zip:")) return pos;
+    }
+    return null;
+  }
+
+  /** A few numbered source lines around `pos` with a caret under the column. */
+  function excerpt(pos, context = 2) {
+    const src = contents[sources.indexOf(pos.source)];
+    if (typeof src !== "string") return "";
+    const lines = src.split(/\r?\n/);
+    const from = Math.max(1, pos.line - context);
+    const to = Math.min(lines.length, pos.line + context);
+    const width = String(to).length;
+    const out = [];
+    for (let n = from; n <= to; n += 1) {
+      out.push(`${n === pos.line ? ">" : " "} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+      if (n === pos.line) out.push(`  ${" ".repeat(width)} | ${" ".repeat(Math.max(0, pos.column - 1))}^`);
+    }
+    return out.join("\n");
+  }
+
+  return { remap, firstWorkspacePosition, excerpt };
+}
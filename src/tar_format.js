@@ -0,0 +1,101 @@
+import { gunzipSync, strFromU8 } from "fflate";
+
+/**
+ * Minimal reader for (gzipped) tar archives as produced by `npm pack` and the registry.
+ *
+ * Handles ustar headers, pax extended headers (`path`, `size`, `mtime`) and GNU long names.
+ * Entries come back in archive order with paths as written (no normalization); callers decide
+ * what to do with links and other special entries.
+ */
+
+const BLOCK = 512;
+
+function tarError(msg) {
+  return Object.assign(new Error(`Invalid tar: ${msg}`), { code: "ETAR" });
+}
+
+function str(d, start, len) {
+  const end = d.indexOf(0, start);
+  return strFromU8(d.subarray(start, end >= 0 && end < start + len ? end : start + len));
+}
+
+// Octal text, or GNU base-256 when the high bit of the first byte is set.
+function num(d, start, len) {
+  if (d[start] & 0x80) {
+    let n = d[start] & 0x7f;
+    for (let i = 1; i < len; i += 1) n = n * 256 + d[start + i];
+    return n;
+  }
+  const s = str(d, start, len).trim();
+  return s ? parseInt(s, 8) : 0;
+}
+
+function parsePax(data) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  const text = strFromU8(data);
+  let i = 0;
+  while (i < text.length) {
+    const sp = text.indexOf(" ", i);
+    const len = parseInt(text.slice(i, sp), 10);
+    if (sp < 0 || !(len > 0)) break;
+    const record = text.slice(sp + 1, i + len - 1);
+    const eq = record.indexOf("=");
+    if (eq > 0) out[record.slice(0, eq)] = record.slice(eq + 1);
+    i += len;
+  }
+  return out;
+}
+
+const TYPES = { "0": "file", "\0": "file", "7": "file", "5": "dir", "2": "symlink", "1": "link" };
+
+/**
+ * @param {Uint8Array} buf tar bytes, gzipped or not
+ * @returns {{ path: string; type: "file" | "dir" | "symlink" | "link" | "other"; data: Uint8Array; mode: number; mtime: number }[]}
+ */
+export function readTar(buf) {
+  const d = buf[0] === 0x1f && buf[1] === 0x8b ? gunzipSync(buf) : buf;
+  const entries = [];
+  let pax = {};
+  let longName = null;
+
+  for (let o = 0; o + BLOCK <= d.length; ) {
+    const header = d.subarray(o, o + BLOCK);
+    if (header.every((b) => b === 0)) break;
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i += 1) sum += i >= 148 && i < 156 ? 32 : header[i];
+    if (sum !== num(header, 148, 8)) throw tarError(`bad header checksum at offset ${o}`);
+
+    const flag = String.fromCharCode(header[156]);
+    const size = pax.size !== undefined ? Number(pax.size) : num(header, 124, 12);
+    const start = o + BLOCK;
+    if (start + size > d.length) throw tarError(`truncated entry at offset ${o}`);
+    const data = d.subarray(start, start + size);
+    o = start + Math.ceil(size / BLOCK) * BLOCK;
+
+    if (flag === "x") {
+      pax = parsePax(data);
+      continue;
+    }
+    if (flag === "g") continue;
+    if (flag === "L") {
+      longName = str(data, 0, data.length);
+      continue;
+    }
+
+    const prefix = str(header, 345, 155);
+    const name = str(header, 0, 100);
+    const entryPath = pax.path ?? longName ?? (prefix ? `${prefix}/${name}` : name);
+    entries.push({
+      path: entryPath,
+      type: TYPES[flag] ?? "other",
+      data,
+      mode: num(header, 100, 8) & 0o7777,
+      mtime: Math.floor((pax.mtime !== undefined ? Number(pax.mtime) : num(header, 136, 12)) * 1000)
+    });
+    pax = {};
+    longName = null;
+  }
+  return entries;
+}
@@ -0,0 +1,159 @@
+/**
+ * Text file format helpers: encoding / BOM detection and line splitting that keeps each line's own
+ * terminator, so an edit re-serializes untouched lines byte-for-byte.
+ *
+ * Supported encodings: "utf8", "utf16le", "utf16be", "latin1". Without a BOM or an explicit
+ * encoding, bytes that are not valid UTF-8 are read as Latin-1 (lossless, so they round-trip).
+ */
+
+const ENCODING_ALIASES = {
+  utf8: "utf8",
+  "utf-8": "utf8",
+  utf16le: "utf16le",
+  "utf-16le": "utf16le",
+  "utf-16": "utf16le",
+  ucs2: "utf16le",
+  "ucs-2": "utf16le",
+  utf16be: "utf16be",
+  "utf-16be": "utf16be",
+  latin1: "latin1",
+  "iso-8859-1": "latin1",
+  binary: "latin1"
+};
+
+/**
+ * Canonical encoding name, `null` for "auto"/unset; throws EINVAL for anything unsupported.
+ */
+export function normalizeEncoding(encoding) {
+  if (encoding === undefined || encoding === null || encoding === "" || encoding === "auto") return null;
+  const e = ENCODING_ALIASES[String(encoding).toLowerCase()];
+  if (!e) throw Object.assign(new Error(`EINVAL: unsupported text encoding ${encoding}`), { code: "EINVAL" });
+  return e;
+}
+
+// Bytes of a file that `shouldTreatAsText` looks at.
+export const TEXT_SAMPLE_BYTES = 8192;
+
+/**
+ * Text-vs-binary heuristic shared by reads, search and history diffs: a NUL byte in the first
+ * `TEXT_SAMPLE_BYTES` means binary, as do more than 5% replacement characters when decoded as UTF-8.
+ */
+export function shouldTreatAsText(bytes) {
+  if (!(bytes instanceof Uint8Array)) return false;
+  if (bytes.length === 0) return true;
+
+  const sample = bytes.subarray(0, Math.min(bytes.length, TEXT_SAMPLE_BYTES));
+  for (let i = 0; i < sample.length; i += 1) {
+    if (sample[i] === 0) return false; // NUL byte is a strong binary signal
+  }
+
+  const decoded = new TextDecoder("utf-8", { fatal: false }).decode(sample);
+  if (decoded.length < 32) return true;
+  let repl = 0;
+  for (let i = 0; i < decoded.length; i += 1) if (decoded.charCodeAt(i) === 0xfffd) repl += 1;
+  return repl / decoded.length <= 0.05;
+}
+
+function swap16(buf) {
+  const out = Buffer.from(buf.subarray(0, buf.length - (buf.length % 2)));
+  out.swap16();
+  return out;
+}
+
+/**
+ * Decode file bytes. A BOM wins over `encoding`; the BOM is not part of the returned text.
+ * @returns {{ text: string; encoding: "utf8" | "utf16le" | "utf16be" | "latin1"; bom: boolean }}
+ */
+export function decodeText(bytes, { encoding } = {}) {
+  const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+    return { text: buf.subarray(3).toString("utf8"), encoding: "utf8", bom: true };
+  }
+  if (buf[0] === 0xff && buf[1] === 0xfe) return { text: buf.subarray(2).toString("utf16le"), encoding: "utf16le", bom: true };
+  if (buf[0] === 0xfe && buf[1] === 0xff) {
+    return { text: swap16(buf.subarray(2)).toString("utf16le"), encoding: "utf16be", bom: true };
+  }
+
+  const wanted = normalizeEncoding(encoding);
+  if (wanted === "utf16be") return { text: swap16(buf).toString("utf16le"), encoding: wanted, bom: false };
+  if (wanted === "utf16le" || wanted === "latin1") return { text: buf.toString(wanted), encoding: wanted, bom: false };
+  if (wanted === "utf8") return { text: buf.toString("utf8"), encoding: "utf8", bom: false };
+
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(buf), encoding: "utf8", bom: false };
+  } catch {
+    return { text: buf.toString("latin1"), encoding: "latin1", bom: false };
+  }
+}
+
+/**
+ * Encode text (without BOM) back to bytes. Latin-1 refuses characters it cannot represent.
+ */
+export function encodeText(text, { encoding = "utf8", bom = false } = {}) {
+  const enc = normalizeEncoding(encoding) ?? "utf8";
+  const s = String(text);
+  if (enc === "latin1") {
+    if (/[^\u0000-\u00ff]/.test(s)) {
+      throw Object.assign(new Error("EILSEQ: text has characters outside Latin-1"), { code: "EILSEQ" });
+    }
+    return Buffer.from(s, "latin1");
+  }
+  if (enc === "utf16le") return Buffer.concat([bom ? Buffer.from([0xff, 0xfe]) : Buffer.alloc(0), Buffer.from(s, "utf16le")]);
+  if (enc === "utf16be") return Buffer.concat([bom ? Buffer.from([0xfe, 0xff]) : Buffer.alloc(0), swap16(Buffer.from(s, "utf16le"))]);
+  return Buffer.concat([bom ? Buffer.from([0xef, 0xbb, 0xbf]) : Buffer.alloc(0), Buffer.from(s, "utf8")]);
+}
+
+/**
+ * Split into lines without terminators plus each line's own terminator (`eols[i]`, "" for a last
+ * line without a final newline). A trailing newline does not produce an extra empty line.
+ * `eol` is the dominant style ("lf" unless CRLF is more common), used for inserted lines.
+ */
+export function splitLines(text) {
+  const lines = [];
+  const eols = [];
+  let crlf = 0;
+  let lf = 0;
+  let start = 0;
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", start)) {
+    const isCrlf = i > start && text.charCodeAt(i - 1) === 13;
+    lines.push(text.slice(start, isCrlf ? i - 1 : i));
+    eols.push(isCrlf ? "\r\n" : "\n");
+    if (isCrlf) crlf += 1;
+    else lf += 1;
+    start = i + 1;
+  }
+  if (start < text.length) {
+    lines.push(text.slice(start));
+    eols.push("");
+  }
+  return { lines, eols, eol: crlf > lf ? "crlf" : "lf", finalNewline: start === text.length && text.length > 0 };
+}
+
+export function eolChars(eol) {
+  return eol === "crlf" ? "\r\n" : "\n";
+}
+
+export function joinLines(lines, eols) {
+  let out = "";
+  for (let i = 0; i < lines.length; i += 1) out += lines[i] + eols[i];
+  return out;
+}
+
+/**
+ * Replace `deleteCount` lines at `index` with `newLines`, keeping the terminators of untouched
+ * lines and the file's final-newline state. Inserted lines use the dominant `eol`.
+ */
+export function spliceLines({ lines, eols, eol, finalNewline }, index, deleteCount, newLines) {
+  const nl = eolChars(eol);
+  const outLines = lines.slice();
+  const outEols = eols.slice();
+  const kept = outEols.slice(index, index + Math.min(deleteCount, newLines.length));
+  outLines.splice(index, deleteCount, ...newLines);
+  outEols.splice(index, deleteCount, ...newLines.map((_, i) => kept[i] || nl));
+  for (let i = 0; i < outEols.length - 1; i += 1) if (!outEols[i]) outEols[i] = nl;
+  if (outEols.length > 0) {
+    const last = outEols.length - 1;
+    outEols[last] = finalNewline ? outEols[last] || nl : "";
+  }
+  return { lines: outLines, eols: outEols };
+}
@@ -1,5 +1,6 @@
 import path from "node:path";
 import { normPath, isTimePath, TIME_DIR } from "./path_utils.js";
+import { shouldTreatAsText } from "./text_format.js";
 
 export { TIME_DIR };
 
@@ -42,31 +43,6 @@ function bytesEqual(a, b) {
   return true;
 }
 
-function shouldTreatAsText(bytes) {
-  if (!(bytes instanceof Uint8Array)) return false;
-  if (bytes.length === 0) return true;
-  const sampleLen = Math.min(bytes.length, 8192);
-  const sample = bytes.subarray(0, sampleLen);
-  for (let i = 0; i < sample.length; i += 1) if (sample[i] === 0) return false;
-  const decoded = new TextDecoder("utf-8", { fatal: false }).decode(sample);
-  if (decoded.length < 32) return true;
-  let repl = 0;
-  for (let i = 0; i < decoded.length; i += 1) if (decoded.charCodeAt(i) === 0xfffd) repl += 1;
-  return repl / decoded.length <= 0.05;
-}
-
-function deleteTree(workspace, p) {
-  const st = workspace.stat(p);
-  if (!st) return;
-  if (st.type === "file") {
-    workspace.delete(p);
-    return;
-  }
-  const children = workspace.list(p);
-  for (const name of children) deleteTree(workspace, joinPosix(p, name));
-  workspace.delete(p);
-}
-
 function safeId() {
   const ts = nowIso().replace(/[:.]/g, "-");
   const rand = Math.random().toString(16).slice(2, 8);
@@ -205,7 +181,7 @@ function deleteEntry(workspace, id) {
   if (workspace.stat(ep)) workspace.delete(ep);
   // Blobs dir
   const bp = joinPosix(joinPosix(TIME_DIR, "blobs"), id);
-  deleteTree(workspace, bp);
+  workspace.delete(bp, { recursive: true, force: true });
 }
 
 function compactIfNeeded(workspace, state) {
@@ -407,6 +383,13 @@ export function timeRecord(workspace, { tool, note, beforeFiles, afterFiles, bef
   timeInit(workspace);
   const state = loadState(workspace);
 
+  const id = safeId();
+  const fileChanges = computeFileChanges(beforeFiles || new Map(), afterFiles || new Map(), id);
+  const dirChanges = computeDirChanges(beforeDirs || new Set(), afterDirs || new Set());
+  const changes = [...fileChanges, ...dirChanges];
+  // A no-op (e.g. a rejected edit) must not discard the redo history.
+  if (changes.length === 0) return { ok: true, recorded: false };
+
   // If we are not at the head, drop redo history.
   if (state.cursor < state.entries.length) {
     const redo = state.entries.slice(state.cursor);
@@ -414,12 +397,6 @@ export function timeRecord(workspace, { tool, note, beforeFiles, afterFiles, bef
     state.entries = state.entries.slice(0, state.cursor);
   }
 
-  const id = safeId();
-  const fileChanges = computeFileChanges(beforeFiles || new Map(), afterFiles || new Map(), id);
-  const dirChanges = computeDirChanges(beforeDirs || new Set(), afterDirs || new Set());
-  const changes = [...fileChanges, ...dirChanges];
-  if (changes.length === 0) return { ok: true, recorded: false };
-
   // Persist blobs for file changes.
   writeBlobs(workspace, id, fileChanges, beforeFiles || new Map(), afterFiles || new Map());
 
@@ -436,6 +413,7 @@ export function timeRecord(workspace, { tool, note, beforeFiles, afterFiles, bef
     id,
     createdAt: entry.createdAt,
     tool: entry.tool,
+    ...(entry.note ? { note: entry.note } : {}),
     compacted: false,
     changedPaths: changes.length
   });
@@ -1,4 +1,20 @@
+import { createHash } from "node:crypto";
 import { normPath, TIME_DIR } from "./path_utils.js";
+import { globWorkspace, makePathFilter } from "./glob.js";
+import { createSearchIndex } from "./search_index.js";
+import { parsePatch, applyHunks } from "./patch.js";
+import { outlineSource, outlineLoader, formatOutline, OUTLINE_EXTENSIONS } from "./outline.js";
+import {
+  decodeText,
+  encodeText,
+  splitLines,
+  joinLines,
+  spliceLines,
+  eolChars,
+  normalizeEncoding,
+  shouldTreatAsText,
+  TEXT_SAMPLE_BYTES
+} from "./text_format.js";
 
 function clipLine(line, maxLineLength) {
   const s = String(line ?? "").replace(/\r$/, "");
@@ -11,23 +27,24 @@ function hasUppercase(s) {
   return /[A-Z]/.test(s);
 }
 
-function shouldTreatAsText(bytes) {
-  if (!(bytes instanceof Uint8Array)) return false;
-  if (bytes.length === 0) return true;
-
-  const sampleLen = Math.min(bytes.length, 8192);
-  const sample = bytes.subarray(0, sampleLen);
+function optNumber(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
 
-  for (let i = 0; i < sample.length; i += 1) {
-    if (sample[i] === 0) return false; // NUL byte is a strong binary signal
-  }
+function parseTime(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const t = typeof v === "number" ? v : Date.parse(String(v));
+  if (!Number.isFinite(t)) throw new Error(`invalid time: ${v}`);
+  return t;
+}
 
-  // Heuristic: decode a sample and consider it binary if it has many replacement chars.
-  const decoded = new TextDecoder("utf-8", { fatal: false }).decode(sample);
-  if (decoded.length < 32) return true;
-  let repl = 0;
-  for (let i = 0; i < decoded.length; i += 1) if (decoded.charCodeAt(i) === 0xfffd) repl += 1;
-  return repl / decoded.length <= 0.05;
+/**
+ * Short content hash returned by reads and checked by `ifMatch` on writes.
+ */
+export function contentHash(data) {
+  return createHash("sha256").update(data).digest("hex").slice(0, 16);
 }
 
 function matchesLine(line, query, { caseSensitive }) {
@@ -35,11 +52,159 @@ function matchesLine(line, query, { caseSensitive }) {
   return line.toLowerCase().indexOf(query.toLowerCase()) !== -1;
 }
 
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the fs_search matcher. Literal queries keep smart-case (case-sensitive iff the query has
+ * an uppercase letter); regex queries are case-sensitive unless `flags` contains "i".
+ */
+function makeMatcher(query, { regex, flags, wholeWord, caseSensitive, multiline }) {
+  const userFlags = flags.replace(/[gy]/g, "");
+  let cs;
+  if (regex) cs = userFlags.includes("i") ? false : typeof caseSensitive === "boolean" ? caseSensitive : true;
+  else cs = typeof caseSensitive === "boolean" ? caseSensitive : hasUppercase(query);
+
+  const spansLines = typeof multiline === "boolean" ? multiline : regex ? /\\n|\n/.test(query) : query.includes("\n");
+
+  if (!regex && !wholeWord && !spansLines) {
+    return { mode: "literal", caseSensitive: cs, multiline: false, test: (line) => matchesLine(line, query, { caseSensitive: cs }) };
+  }
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) source = `(?<![A-Za-z0-9_$])(?:${source})(?![A-Za-z0-9_$])`;
+  let reFlags = userFlags.replace("i", "");
+  if (!cs) reFlags += "i";
+
+  let re;
+  try {
+    re = new RegExp(source, reFlags);
+  } catch (err) {
+    throw new Error(`invalid regex: ${String(err?.message || err)}`);
+  }
+  return {
+    mode: regex ? "regex" : "literal",
+    caseSensitive: cs,
+    multiline: spansLines,
+    regex: re,
+    test: (line) => re.test(line)
+  };
+}
+
+/**
+ * Lines that nearly match a missing `fs_replace` needle: a whitespace-insensitive match of the
+ * whole needle if there is one, else lines containing its longest line.
+ */
+function nearMisses(text, needle, max = 5) {
+  if (!needle) return [];
+  const lines = text.split("\n");
+  const squash = (s) => s.replace(/\s+/g, " ").trim();
+  const needleLines = needle.split(/\r?\n/).map(squash).filter(Boolean);
+  if (needleLines.length === 0) return [];
+
+  const out = [];
+  for (let i = 0; i < lines.length && out.length < max; i += 1) {
+    if (squash(lines[i]) !== needleLines[0]) continue;
+    let ok = true;
+    for (let j = 1, k = i + 1; j < needleLines.length; k += 1) {
+      if (k >= lines.length) {
+        ok = false;
+        break;
+      }
+      const l = squash(lines[k]);
+      if (!l) continue;
+      if (l !== needleLines[j]) {
+        ok = false;
+        break;
+      }
+      j += 1;
+    }
+    if (ok) out.push({ line: i + 1, content: clipLine(lines[i], 160), reason: "whitespace differs" });
+  }
+  if (out.length > 0) return out;
+
+  const longest = needleLines.reduce((a, b) => (b.length > a.length ? b : a));
+  for (let i = 0; i < lines.length && out.length < max; i += 1) {
+    if (squash(lines[i]).includes(longest)) out.push({ line: i + 1, content: clipLine(lines[i], 160), reason: "partial match" });
+  }
+  return out;
+}
+
+/**
+ * Whole-file search for patterns that may span lines. Each result covers the matched line range
+ * plus `ctx` lines around it (the matched range itself is capped to keep output small).
+ */
+function searchWholeFile(p, bytes, matcher, { maxResults, ctx, maxLen }) {
+  const MAX_SPAN_LINES = 40;
+  const text = new TextDecoder("utf-8", { fatal: false }).decode(bytes);
+  const lines = text.split("\n");
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i += 1) if (text.charCodeAt(i) === 10) lineStarts.push(i + 1);
+  const lineAt = (idx) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= idx) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+
+  const re = new RegExp(matcher.regex.source, matcher.regex.flags + "g");
+  const results = [];
+  let lastEndLine = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[0].length === 0) re.lastIndex += 1;
+    const matchLine = lineAt(m.index);
+    const matchEndLine = lineAt(m.index + Math.max(0, m[0].length - 1));
+    if (matchLine <= lastEndLine) continue; // one result per region
+    if (results.length >= maxResults) return { results, more: true };
+    lastEndLine = matchEndLine;
+
+    const from = Math.max(1, matchLine - ctx);
+    const to = Math.min(lines.length, Math.min(matchEndLine, matchLine + MAX_SPAN_LINES - 1) + ctx);
+    const out = [];
+    for (let n = from; n <= to; n += 1) out.push({ lineNumber: n, content: clipLine(lines[n - 1], maxLen) });
+    results.push({ path: p, matchLine, matchEndLine, contextStartLine: from, contextEndLine: to, lines: out });
+  }
+  return { results, more: false };
+}
+
+function formatSize(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ["KB", "MB", "GB"];
+  let v = n / 1024;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${v >= 100 ? Math.round(v) : v.toFixed(1)} ${units[i]}`;
+}
+
+const MAX_BATCH_OPS = 100;
+
+// fs_batch operations and their required arguments.
+export const BATCH_OPS = {
+  write: ["path", "content"],
+  patch_lines: ["path", "startLine", "endLine", "replacement"],
+  replace: ["path", "oldText"],
+  apply_patch: ["patch"],
+  mkdir: ["path"],
+  delete: ["path"],
+  move: ["from", "to"],
+  copy: ["from", "to"]
+};
+
 /**
  * LLM-style tool wrapper around a ZipWorkspace.
  * All paths are normalized and rooted at "~/" => "/".
+ * `searchIndex` backs `fs_semantic_search`; the host passes its own so it can keep it updated.
  */
-export function createWorkspaceTools(workspace) {
+export function createWorkspaceTools(workspace, { searchIndex = createSearchIndex(workspace) } = {}) {
   function assertUserPath(p) {
     const n = normPath(p);
     if (n === TIME_DIR || n.startsWith(TIME_DIR + "/")) {
@@ -48,8 +213,67 @@ export function createWorkspaceTools(workspace) {
     return n;
   }
 
-  return {
-    fs_read({ path, encoding = "utf8", maxBytes = 2_000_000 }) {
+  /**
+   * Decode a text file and split it into lines (see text_format.js). The returned format
+   * (`encoding`, `bom`, `eol`, `finalNewline`) is what `writeText` re-applies.
+   */
+  function readText(p, encoding) {
+    const bytes = workspace.readFile(p);
+    const decoded = decodeText(bytes, { encoding });
+    return { bytes, ...decoded, ...splitLines(decoded.text) };
+  }
+
+  function writeText(p, text, { encoding, bom }) {
+    const bytes = encodeText(text, { encoding, bom });
+    workspace.writeFile(p, bytes, "utf8", true);
+    return contentHash(bytes);
+  }
+
+  const formatInfo = (t) => ({ encoding: t.encoding, bom: t.bom, eol: t.eol, finalNewline: t.finalNewline });
+
+  /**
+   * Optimistic concurrency check before a write. `ifMatch` must equal the file's current `hash`
+   * (or, with a line range, the `rangeHash` of those lines); `expectedLines` must equal the
+   * current lines `startLine..endLine`. Returns a structured conflict, or null when clear.
+   */
+  function checkVersion(p, { ifMatch, expectedLines, startLine, endLine } = {}) {
+    const hasHash = typeof ifMatch === "string" && ifMatch.length > 0;
+    const hasLines = Array.isArray(expectedLines);
+    if (!hasHash && !hasLines) return null;
+
+    const bytes = workspace.files.has(p) ? workspace.readFile(p) : null;
+    const actual = bytes ? contentHash(bytes) : null;
+    const ranged = Number.isFinite(startLine);
+    let slice = null;
+    if (bytes && ranged) {
+      const { lines } = readText(p);
+      const s = Math.max(1, startLine);
+      slice = lines.slice(s - 1, Math.max(s, Number(endLine) || s));
+    }
+
+    let reason = null;
+    if (!bytes) reason = "file does not exist";
+    else if (hasHash && ifMatch !== actual && !(slice && ifMatch === contentHash(slice.join("\n")))) {
+      reason = "file changed since it was read";
+    } else if (hasLines && (!slice || slice.length !== expectedLines.length || slice.some((l, i) => l !== String(expectedLines[i])))) {
+      reason = "lines differ from expectedLines";
+    }
+    if (!reason) return null;
+
+    const out = { ok: false, code: "ECONFLICT", error: reason, path: p, currentHash: actual };
+    if (hasHash) out.expectedHash = ifMatch;
+    if (slice) {
+      out.currentLines = slice.slice(0, 50).map((content, i) => ({ lineNumber: Math.max(1, startLine) + i, content: clipLine(content, 240) }));
+    }
+    return out;
+  }
+
+  const tools = {
+    /**
+     * `encoding` defaults to auto-detection (BOM, else UTF-8, else Latin-1); "base64" returns raw bytes.
+     * The BOM is stripped from `content` and reported as `bom`.
+     */
+    fs_read({ path, encoding = "auto", maxBytes = 2_000_000 }) {
       const p = assertUserPath(path);
       const st = workspace.stat(p);
       if (!st || st.type !== "file") throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
@@ -57,20 +281,24 @@ export function createWorkspaceTools(workspace) {
 
       if (encoding === "base64") {
         const buf = workspace.readFile(p);
-        return { path: p, encoding: "base64", content: Buffer.from(buf).toString("base64") };
+        return { path: p, encoding: "base64", content: buf.toString("base64"), hash: contentHash(buf) };
       }
-      const text = workspace.readFile(p, encoding);
-      return { path: p, encoding, content: text };
+      const t = readText(p, encoding);
+      return { path: p, content: t.text, hash: contentHash(t.bytes), ...formatInfo(t) };
     },
 
-    fs_read_lines({ path, startLine = 1, endLine = 200, maxBytes = 2_000_000 }) {
+    /**
+     * `totalLines` does not count the empty "line" after a final newline; `finalNewline`, `eol`,
+     * `bom` and `encoding` describe the file so edits can preserve them.
+     */
+    fs_read_lines({ path, startLine = 1, endLine = 200, maxBytes = 2_000_000, encoding }) {
       const p = assertUserPath(path);
       const st = workspace.stat(p);
       if (!st || st.type !== "file") throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
       if (st.size > maxBytes) throw Object.assign(new Error("EFBIG"), { code: "EFBIG" });
 
-      const text = workspace.readFile(p, "utf8");
-      const lines = text.split(/\r?\n/);
+      const t = readText(p, encoding);
+      const lines = t.lines;
       const totalLines = lines.length;
 
       const s = Math.max(1, Number(startLine) || 1);
@@ -83,12 +311,20 @@ export function createWorkspaceTools(workspace) {
         startLine: s,
         endLine: end,
         totalLines,
+        ...formatInfo(t),
+        hash: contentHash(t.bytes),
+        rangeHash: contentHash(slice.join("\n")),
         lines: slice.map((content, i) => ({ lineNumber: s + i, content }))
       };
     },
 
     /**
-     * Search text files for a literal substring and return small, patch-friendly contexts.
+     * Search text files and return small, patch-friendly contexts.
+     *
+     * Modes: literal substring (default), `regex` (JavaScript RegExp source + `flags`), `wholeWord`.
+     * `multiline` (implied by a newline in the query or a `\n` in a regex) matches across lines
+     * and reports `matchEndLine`. `include` / `exclude` globs filter paths relative to `pathPrefix`;
+     * a glob without "/" matches at any depth.
      *
      * Designed for agent workflows: search -> fs_read_lines -> fs_patch_lines.
      */
@@ -98,7 +334,13 @@ export function createWorkspaceTools(workspace) {
       maxResults = 8,
       contextLines = 2,
       maxLineLength = 240,
-      caseSensitive
+      caseSensitive,
+      regex = false,
+      flags = "",
+      wholeWord = false,
+      multiline,
+      include,
+      exclude
     }) {
       const q = String(query ?? "");
       if (!q) throw new Error("query must be a non-empty string");
@@ -111,16 +353,20 @@ export function createWorkspaceTools(workspace) {
       const ctx = Math.max(0, Math.min(20, Number(contextLines) || 0));
       const maxLen = Math.max(20, Math.min(2000, Number(maxLineLength) || 240));
 
-      const cs = typeof caseSensitive === "boolean" ? caseSensitive : hasUppercase(q);
+      const matcher = makeMatcher(q, { regex: !!regex, flags: String(flags || ""), wholeWord: !!wholeWord, caseSensitive, multiline });
+      const cs = matcher.caseSensitive;
 
       const filePaths = [];
       if (prefixStat.type === "file") {
         filePaths.push(prefixPath);
       } else {
         const dirPrefix = prefixPath === "/" ? "/" : prefixPath + "/";
+        const pathFilter = makePathFilter(include, exclude);
         for (const p of workspace.files.keys()) {
           if (p === TIME_DIR || p.startsWith(TIME_DIR + "/")) continue;
-          if (p.startsWith(dirPrefix)) filePaths.push(p);
+          if (!p.startsWith(dirPrefix)) continue;
+          if (pathFilter && !pathFilter(p.slice(dirPrefix.length))) continue;
+          filePaths.push(p);
         }
         filePaths.sort();
       }
@@ -131,14 +377,30 @@ export function createWorkspaceTools(workspace) {
       let matchedFiles = 0;
       let skippedBinaryFiles = 0;
 
+      const summary = (isTruncated) => ({
+        query: q,
+        pathPrefix: prefixPath,
+        mode: matcher.mode,
+        wholeWord: !!wholeWord,
+        multiline: matcher.multiline,
+        caseSensitive: cs,
+        maxResults: maxRes,
+        contextLines: ctx,
+        results,
+        truncated: isTruncated,
+        scannedFiles,
+        matchedFiles,
+        skippedBinaryFiles
+      });
+
       for (const p of filePaths) {
         if (results.length >= maxRes) {
           truncated = true;
           break;
         }
 
-        const bytes = workspace.files.get(p);
-        if (!bytes) continue;
+        if (!workspace.files.has(p)) continue;
+        const bytes = workspace.readFile(p);
 
         scannedFiles += 1;
         if (!shouldTreatAsText(bytes)) {
@@ -146,6 +408,17 @@ export function createWorkspaceTools(workspace) {
           continue;
         }
 
+        if (matcher.multiline) {
+          const found = searchWholeFile(p, bytes, matcher, { maxResults: maxRes - results.length, ctx, maxLen });
+          results.push(...found.results);
+          if (found.results.length > 0) matchedFiles += 1;
+          if (found.more) {
+            truncated = true;
+            break;
+          }
+          continue;
+        }
+
         const pending = [];
         const beforeBuf = [];
 
@@ -185,7 +458,7 @@ export function createWorkspaceTools(workspace) {
           }
 
           // Create a new match context if we still have capacity.
-          if ((results.length + pending.length) < maxRes && matchesLine(rawLine, q, { caseSensitive: cs })) {
+          if ((results.length + pending.length) < maxRes && matcher.test(rawLine.replace(/\r$/, ""))) {
             fileHadMatch = true;
             const before = beforeBuf.slice(Math.max(0, beforeBuf.length - ctx));
             const lines = [...before, entry];
@@ -211,18 +484,10 @@ export function createWorkspaceTools(workspace) {
             const line = carry.slice(0, idx);
             carry = carry.slice(idx + 1);
             processLine(line);
-            if (flushReady()) return {
-              query: q,
-              pathPrefix: prefixPath,
-              caseSensitive: cs,
-              maxResults: maxRes,
-              contextLines: ctx,
-              results,
-              truncated: true,
-              scannedFiles,
-              matchedFiles: matchedFiles + (fileHadMatch ? 1 : 0),
-              skippedBinaryFiles
-            };
+            if (flushReady()) {
+              if (fileHadMatch) matchedFiles += 1;
+              return summary(true);
+            }
           }
 
           // If we reached capacity, we can stop once pending contexts are filled.
@@ -245,29 +510,313 @@ export function createWorkspaceTools(workspace) {
         if (fileHadMatch) matchedFiles += 1;
       }
 
-      return {
-        query: q,
-        pathPrefix: prefixPath,
-        caseSensitive: cs,
-        maxResults: maxRes,
-        contextLines: ctx,
-        results,
-        truncated,
-        scannedFiles,
-        matchedFiles,
-        skippedBinaryFiles
-      };
+      return summary(truncated);
+    },
+
+    /**
+     * Ranked search: the best-matching ~30-line chunks for a natural-language or keyword query
+     * (BM25 over identifiers and words), instead of the first literal hits in path order.
+     */
+    fs_semantic_search({ query, pathPrefix = "~/", limit = 5, maxLineLength = 240 }) {
+      const q = String(query ?? "").trim();
+      if (!q) throw new Error("query must be a non-empty string");
+
+      const prefixPath = assertUserPath(pathPrefix);
+      if (!workspace.stat(prefixPath)) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+
+      const max = Math.max(1, Math.min(20, Number(limit) || 5));
+      const maxLen = Math.max(20, Math.min(2000, Number(maxLineLength) || 240));
+
+      const hits = searchIndex.search(q, { pathPrefix: prefixPath, limit: max });
+      const results = hits.map((h) => {
+        const lines = workspace.readFile(h.path, "utf8").split("\n");
+        const out = [];
+        for (let n = h.startLine; n <= Math.min(h.endLine, lines.length); n += 1) {
+          out.push({ lineNumber: n, content: clipLine(lines[n - 1], maxLen) });
+        }
+        return { ...h, lines: out };
+      });
+
+      const stats = searchIndex.stats();
+      return { query: q, pathPrefix: prefixPath, limit: max, results, indexedFiles: stats.files, indexedChunks: stats.chunks };
     },
 
-    fs_write({ path, content, encoding = "utf8", overwrite = true }) {
+    /**
+     * Overwriting a text file keeps its encoding, BOM and line endings (LF content is converted to
+     * CRLF for a CRLF file) unless `encoding`, `bom` or `eol` ("lf" | "crlf") say otherwise.
+     */
+    fs_write({ path, content, encoding, overwrite = true, ifMatch, bom, eol }) {
       const p = assertUserPath(path);
+      const conflict = checkVersion(p, { ifMatch });
+      if (conflict) return conflict;
       if (encoding === "base64") {
         const buf = Buffer.from(content, "base64");
         workspace.writeFile(p, buf, "utf8", overwrite);
-      } else {
-        workspace.writeFile(p, String(content), encoding, overwrite);
+        return { ok: true, path: p, hash: contentHash(buf) };
       }
-      return { ok: true, path: p };
+      if (!overwrite && workspace.files.has(p)) throw Object.assign(new Error("EEXIST"), { code: "EEXIST" });
+
+      const prev = workspace.files.has(p) ? readText(p) : null;
+      const fmt = {
+        encoding: normalizeEncoding(encoding) ?? prev?.encoding ?? "utf8",
+        bom: typeof bom === "boolean" ? bom : prev?.bom ?? false,
+        eol: eol === "lf" || eol === "crlf" ? eol : prev?.eols.some(Boolean) ? prev.eol : null
+      };
+      let text = String(content);
+      // An auto-detected Latin-1 file is only kept as Latin-1 while the new content fits.
+      if (!normalizeEncoding(encoding) && fmt.encoding === "latin1" && /[^\u0000-\u00ff]/.test(text)) fmt.encoding = "utf8";
+      if (fmt.eol) text = text.replace(/\r?\n/g, eolChars(fmt.eol));
+      const hash = writeText(p, text, fmt);
+      return { ok: true, path: p, hash, encoding: fmt.encoding, bom: fmt.bom };
+    },
+
+    /**
+     * Find files/dirs by glob pattern(s) under `path` (patterns are relative to it; "!" excludes).
+     * Size filters only apply to files (dirs are skipped when one is set).
+     * Results are sorted by path, or largest/newest first for `sortBy: "size" | "mtime"`, then paginated.
+     */
+    fs_glob({
+      pattern,
+      path = "~/",
+      type = "any",
+      minSize,
+      maxSize,
+      modifiedAfter,
+      modifiedBefore,
+      dot = false,
+      sortBy = "path",
+      offset = 0,
+      limit = 100
+    }) {
+      const patterns = (Array.isArray(pattern) ? pattern : [pattern]).map((p) => String(p ?? "")).filter(Boolean);
+      if (patterns.length === 0) throw new Error("pattern must be a non-empty string or array of strings");
+
+      const base = assertUserPath(path);
+      const baseStat = workspace.stat(base);
+      if (!baseStat) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+      if (baseStat.type !== "dir") throw Object.assign(new Error("ENOTDIR"), { code: "ENOTDIR" });
+
+      const min = optNumber(minSize);
+      const max = optNumber(maxSize);
+      const after = parseTime(modifiedAfter);
+      const before = parseTime(modifiedBefore);
+      const wantType = type === "file" || type === "dir" ? type : "any";
+
+      const matches = [];
+      for (const m of globWorkspace(workspace, patterns, { base, dot: !!dot })) {
+        if (wantType !== "any" && m.type !== wantType) continue;
+        const st = workspace.stat(m.path);
+        if (min !== null || max !== null) {
+          if (m.type !== "file") continue;
+          if (min !== null && st.size < min) continue;
+          if (max !== null && st.size > max) continue;
+        }
+        if (after !== null && st.mtimeMs < after) continue;
+        if (before !== null && st.mtimeMs > before) continue;
+        matches.push({ path: m.path, type: m.type, size: st.size, mtimeMs: st.mtimeMs });
+      }
+
+      const sort = sortBy === "size" || sortBy === "mtime" ? sortBy : "path";
+      matches.sort((a, b) => {
+        if (sort === "size" && a.size !== b.size) return b.size - a.size;
+        if (sort === "mtime" && a.mtimeMs !== b.mtimeMs) return b.mtimeMs - a.mtimeMs;
+        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+      });
+
+      const off = Math.max(0, Math.floor(Number(offset) || 0));
+      const lim = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 100)));
+      const page = matches.slice(off, off + lim);
+      return {
+        path: base,
+        patterns,
+        sortBy: sort,
+        total: matches.length,
+        offset: off,
+        limit: lim,
+        nextOffset: off + page.length < matches.length ? off + page.length : null,
+        results: page.map((m) => ({
+          path: m.path,
+          type: m.type,
+          size: m.size,
+          mtime: new Date(m.mtimeMs).toISOString()
+        }))
+      };
+    },
+
+    /**
+     * Orientation overview: an indented, size-annotated tree of `path` down to `depth`, with
+     * recursive file counts per folder. Folders with more than `maxChildren` entries are collapsed
+     * and the rendering stops at `maxLines`, so the output stays small for any workspace.
+     * Listed files are classified text/binary; `largestFiles` covers the whole subtree.
+     */
+    fs_tree({ path = "~/", depth = 3, maxChildren = 25, maxLines = 150, largest = 10 }) {
+      const root = assertUserPath(path);
+      const st = workspace.stat(root);
+      if (!st) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+      if (st.type !== "dir") throw Object.assign(new Error("ENOTDIR"), { code: "ENOTDIR" });
+
+      const maxDepth = Math.max(0, Math.min(10, Math.floor(Number(depth) || 0)));
+      const maxKids = Math.max(1, Math.min(200, Math.floor(Number(maxChildren) || 25)));
+      const lineBudget = Math.max(10, Math.min(1000, Math.floor(Number(maxLines) || 150)));
+      const topN = Math.max(0, Math.min(50, Math.floor(Number(largest) || 0)));
+
+      const prefix = root === "/" ? "/" : root + "/";
+      const inScope = (p) => p.startsWith(prefix) && !(p === TIME_DIR || p.startsWith(TIME_DIR + "/"));
+      const parentOf = (p) => {
+        const i = p.lastIndexOf("/");
+        return i === 0 ? "/" : p.slice(0, i);
+      };
+
+      /** @type {Map<string, { dirs: string[]; files: string[]; fileCount: number; dirCount: number; bytes: number }>} */
+      const nodes = new Map();
+      const node = (d) => {
+        let n = nodes.get(d);
+        if (!n) nodes.set(d, (n = { dirs: [], files: [], fileCount: 0, dirCount: 0, bytes: 0 }));
+        return n;
+      };
+      node(root);
+      for (const d of workspace.dirs.keys()) {
+        if (d === root || !inScope(d)) continue;
+        node(d);
+        node(parentOf(d)).dirs.push(d);
+        for (let a = parentOf(d); ; a = parentOf(a)) {
+          node(a).dirCount += 1;
+          if (a === root) break;
+        }
+      }
+      const sizes = [];
+      for (const f of workspace.files.keys()) {
+        if (!inScope(f)) continue;
+        const size = workspace.stat(f).size;
+        sizes.push({ path: f, size });
+        node(parentOf(f)).files.push(f);
+        for (let a = parentOf(f); ; a = parentOf(a)) {
+          const n = node(a);
+          n.fileCount += 1;
+          n.bytes += size;
+          if (a === root) break;
+        }
+      }
+
+      // shouldTreatAsText only samples a prefix; don't inflate (and keep) whole lazy entries for it.
+      const kindOf = (p) => (shouldTreatAsText(workspace.readPrefix(p, TEXT_SAMPLE_BYTES)) ? "text" : "binary");
+      const baseName = (p) => p.slice(p.lastIndexOf("/") + 1);
+      const summary = (n) => `${n.dirCount ? `${n.dirCount} dirs, ` : ""}${n.fileCount} files, ${formatSize(n.bytes)}`;
+
+      const lines = [`${root === "/" ? "~/" : `~${root}/`} (${summary(nodes.get(root))})`];
+      let truncated = false;
+      const emit = (line) => {
+        if (lines.length >= lineBudget) {
+          truncated = true;
+          return false;
+        }
+        lines.push(line);
+        return true;
+      };
+
+      const walk = (d, level) => {
+        const n = nodes.get(d);
+        const indent = "  ".repeat(level);
+        const dirs = n.dirs.slice().sort();
+        const files = n.files.slice().sort();
+        const shownDirs = dirs.slice(0, maxKids);
+        const shownFiles = files.slice(0, maxKids - shownDirs.length);
+        for (const c of shownDirs) {
+          if (!emit(`${indent}${baseName(c)}/ (${summary(nodes.get(c))})`)) return;
+          if (level < maxDepth) walk(c, level + 1);
+          if (truncated) return;
+        }
+        for (const f of shownFiles) {
+          if (!emit(`${indent}${baseName(f)} ${formatSize(workspace.stat(f).size)} ${kindOf(f)}`)) return;
+        }
+        const hiddenDirs = dirs.slice(shownDirs.length);
+        const hiddenFiles = files.slice(shownFiles.length);
+        if (hiddenDirs.length + hiddenFiles.length > 0) {
+          let bytes = 0;
+          for (const c of hiddenDirs) bytes += nodes.get(c).bytes;
+          for (const f of hiddenFiles) bytes += workspace.stat(f).size;
+          const parts = [hiddenDirs.length ? `${hiddenDirs.length} dirs` : "", hiddenFiles.length ? `${hiddenFiles.length} files` : ""];
+          emit(`${indent}… ${parts.filter(Boolean).join(", ")} more (${formatSize(bytes)})`);
+        }
+      };
+      if (maxDepth > 0) walk(root, 1);
+      if (truncated) lines.push(`… output truncated at ${lineBudget} lines; use a smaller depth or a subdirectory`);
+
+      sizes.sort((a, b) => b.size - a.size || (a.path < b.path ? -1 : 1));
+      const rootNode = nodes.get(root);
+      return {
+        path: root,
+        depth: maxDepth,
+        totals: { dirs: rootNode.dirCount, files: rootNode.fileCount, bytes: rootNode.bytes },
+        tree: lines.join("\n"),
+        truncated,
+        largestFiles: sizes.slice(0, topN).map((f) => ({ path: f.path, size: f.size, kind: kindOf(f.path) }))
+      };
+    },
+
+    /**
+     * Symbols per JS/TS file with line ranges. A file path returns structured `items`; a directory
+     * returns a compact text `map` (node_modules is skipped unless asked for explicitly).
+     */
+    fs_outline({ path = "~/", maxFiles = 200, maxLines = 400, imports = true, maxBytes = 1_000_000 }) {
+      const p = assertUserPath(path);
+      const st = workspace.stat(p);
+      if (!st) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+
+      if (st.type === "file") {
+        const loader = outlineLoader(p);
+        if (!loader) throw Object.assign(new Error(`EINVAL: not a JS/TS file (${OUTLINE_EXTENSIONS.join(", ")})`), { code: "EINVAL" });
+        if (st.size > maxBytes) throw Object.assign(new Error("EFBIG"), { code: "EFBIG" });
+        const { text } = readText(p);
+        const outline = outlineSource(text, { loader });
+        const items = imports ? outline.items : outline.items.filter((it) => it.kind !== "import");
+        return { path: p, type: "file", loader, lines: outline.lines, items, errors: outline.errors };
+      }
+
+      const fileLimit = Math.max(1, Math.min(2000, Math.floor(Number(maxFiles) || 200)));
+      const lineBudget = Math.max(20, Math.min(5000, Math.floor(Number(maxLines) || 400)));
+      const prefix = p === "/" ? "/" : p + "/";
+      const skipModules = !p.split("/").includes("node_modules");
+      const paths = Array.from(workspace.files.keys())
+        .filter(
+          (f) =>
+            f.startsWith(prefix) &&
+            !(f === TIME_DIR || f.startsWith(TIME_DIR + "/")) &&
+            !(skipModules && f.split("/").includes("node_modules")) &&
+            outlineLoader(f)
+        )
+        .sort();
+
+      const lines = [];
+      const errors = [];
+      let truncated = false;
+      let files = 0;
+      for (const f of paths) {
+        if (files >= fileLimit || lines.length >= lineBudget) {
+          truncated = true;
+          break;
+        }
+        files += 1;
+        const size = workspace.stat(f).size;
+        if (size > maxBytes) {
+          lines.push(`~${f} (${formatSize(size)}, skipped: too large)`);
+          continue;
+        }
+        const outline = outlineSource(readText(f).text, { loader: outlineLoader(f) });
+        const err = outline.errors[0];
+        for (const e of outline.errors) errors.push({ path: f, ...e });
+        lines.push(`~${f} (${outline.lines} lines)${err ? ` ! ${err.line ?? "?"}:${err.column ?? "?"} ${err.text}` : ""}`);
+        const sources = outline.items.filter((it) => it.kind === "import").map((it) => it.source);
+        if (imports && sources.length) lines.push(`  imports: ${sources.join(", ")}`);
+        for (const it of outline.items) if (it.kind !== "import") lines.push(`  ${formatOutline(it)}`);
+      }
+      if (lines.length > lineBudget) {
+        lines.length = lineBudget;
+        truncated = true;
+      }
+      if (truncated) lines.push(`… truncated after ${files} of ${paths.length} files; outline a subdirectory or a single file`);
+
+      return { path: p, type: "dir", files: paths.length, map: lines.join("\n"), errors, truncated };
     },
 
     fs_list({ path = "~/" }) {
@@ -277,11 +826,21 @@ export function createWorkspaceTools(workspace) {
       return { path: p, entries };
     },
 
-    fs_stat({ path }) {
+    fs_stat({ path, hash = false }) {
       const p = assertUserPath(path);
       const st = workspace.stat(p);
       if (!st) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
-      return { path: p, ...st };
+      const out = {
+        path: p,
+        type: st.type,
+        size: st.size,
+        mtime: new Date(st.mtimeMs).toISOString(),
+        mode: st.mode.toString(8).padStart(4, "0")
+      };
+      // Hashing reads (and, in lazy mode, inflates) the whole file, so only do it on request.
+      if (hash === true && st.type === "file") out.hash = contentHash(workspace.readFile(p));
+      if (st.comment) out.comment = st.comment;
+      return out;
     },
 
     fs_mkdir({ path, recursive = true }) {
@@ -290,30 +849,294 @@ export function createWorkspaceTools(workspace) {
       return { ok: true, path: p };
     },
 
-    fs_delete({ path }) {
+    /**
+     * Move/rename a file or directory tree. Refuses to replace an existing target unless `overwrite`.
+     */
+    fs_move({ from, to, overwrite = false, ifMatch }) {
+      const src = assertUserPath(from);
+      const dst = assertUserPath(to);
+      const st = workspace.stat(src);
+      if (!st) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+      const conflict = checkVersion(src, { ifMatch });
+      if (conflict) return conflict;
+      workspace.rename(src, dst, { overwrite: !!overwrite });
+      return { ok: true, from: src, to: dst, type: st.type };
+    },
+
+    /**
+     * Copy a file or directory tree (merging into an existing target dir).
+     * Refuses to replace existing files unless `overwrite`.
+     */
+    fs_copy({ from, to, overwrite = false, ifMatch }) {
+      const src = assertUserPath(from);
+      const dst = assertUserPath(to);
+      const st = workspace.stat(src);
+      if (!st) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+      const conflict = checkVersion(src, { ifMatch });
+      if (conflict) return conflict;
+      workspace.copy(src, dst, { overwrite: !!overwrite, recursive: true });
+      return { ok: true, from: src, to: dst, type: st.type };
+    },
+
+    /**
+     * Delete a file or directory. `recursive` removes a non-empty directory tree;
+     * `force` turns a missing path into a no-op.
+     */
+    fs_delete({ path, recursive = false, force = false, ifMatch }) {
       const p = assertUserPath(path);
-      workspace.delete(p);
-      return { ok: true, path: p };
+      if (p === "/") throw Object.assign(new Error("EPERM"), { code: "EPERM" });
+      const conflict = checkVersion(p, { ifMatch });
+      if (conflict) return conflict;
+      const removed = workspace.delete(p, { recursive: !!recursive, force: !!force });
+      return { ok: true, path: p, removedFiles: removed.files, removedDirs: removed.dirs };
     },
 
     /**
      * Very simple patch tool: replace a range of lines (1-based, inclusive).
      * This avoids unified-diff parsing complexity but still enables precise edits.
      */
-    fs_patch_lines({ path, startLine, endLine, replacement }) {
+    fs_patch_lines({ path, startLine, endLine, replacement, ifMatch, expectedLines }) {
       const p = assertUserPath(path);
-      const text = workspace.readFile(p, "utf8");
-      const lines = text.split(/\r?\n/);
+      const t = readText(p);
 
       const s = Math.max(1, Number(startLine));
       const e = Math.max(s, Number(endLine));
-      const before = lines.slice(0, s - 1);
-      const after = lines.slice(e);
+      const conflict = checkVersion(p, { ifMatch, expectedLines, startLine: s, endLine: e });
+      if (conflict) return conflict;
 
+      // Untouched lines keep their own line endings; replacement lines get the file's dominant one.
       const replLines = String(replacement).split(/\r?\n/);
-      const out = [...before, ...replLines, ...after].join("\n");
-      workspace.writeFile(p, out, "utf8", true);
-      return { ok: true, path: p };
+      const index = Math.min(s - 1, t.lines.length);
+      const out = spliceLines(t, index, Math.max(0, Math.min(e, t.lines.length) - index), replLines);
+      const hash = writeText(p, joinLines(out.lines, out.eols), t);
+      return { ok: true, path: p, hash };
+    },
+
+    /**
+     * Replace `oldText` with `newText` in one file. The match must be unique unless `replaceAll` is
+     * set or `expectedCount` says how many to expect; otherwise nothing is written and the result
+     * lists the candidate locations. In `regex` mode `newText` may use `$1` / `$<name>`.
+     */
+    fs_replace({ path, oldText, newText = "", expectedCount, replaceAll = false, regex = false, flags = "", ifMatch }) {
+      const p = assertUserPath(path);
+      const conflict = checkVersion(p, { ifMatch });
+      if (conflict) return conflict;
+      const t = readText(p);
+      const text = t.text;
+      const needle = String(oldText ?? "");
+      if (!needle) throw new Error("oldText must be a non-empty string");
+      const crlf = t.eol === "crlf";
+      const eolFix = (s) => (crlf && !regex ? s.replace(/\r?\n/g, "\r\n") : s);
+
+      let re;
+      try {
+        const source = regex ? needle : escapeRegExp(eolFix(needle));
+        re = new RegExp(source, String(flags || "").replace(/[gy]/g, "") + "g");
+      } catch (err) {
+        throw new Error(`invalid regex: ${String(err?.message || err)}`);
+      }
+
+      const matches = [];
+      for (const m of text.matchAll(re)) {
+        if (m[0].length === 0) throw new Error("oldText regex matches the empty string");
+        matches.push(m.index);
+      }
+
+      const lineOf = (idx) => text.slice(0, idx).split("\n").length;
+      const preview = (line) => clipLine(text.split("\n")[line - 1], 160);
+      const locations = (idxs) => idxs.slice(0, 10).map((i) => ({ line: lineOf(i), content: preview(lineOf(i)) }));
+
+      const want = expectedCount === undefined || expectedCount === null ? null : Number(expectedCount);
+      let error = null;
+      if (matches.length === 0) error = "ENOMATCH";
+      else if (want !== null && matches.length !== want) error = "ECOUNT";
+      else if (want === null && !replaceAll && matches.length > 1) error = "EAMBIGUOUS";
+
+      if (error) {
+        const out = { ok: false, code: error, path: p, matches: matches.length };
+        if (error === "ENOMATCH") {
+          out.error = "oldText not found";
+          out.candidates = nearMisses(text, regex ? "" : needle);
+        } else {
+          out.error =
+            error === "ECOUNT"
+              ? `expected ${want} match(es), found ${matches.length}`
+              : `oldText matches ${matches.length} times; add surrounding context, set expectedCount or replaceAll`;
+          out.candidates = locations(matches);
+        }
+        return out;
+      }
+
+      const replacement = eolFix(String(newText ?? ""));
+      const out = text.replace(re, regex ? replacement : () => replacement);
+      const hash = writeText(p, out, t);
+      return { ok: true, path: p, replacements: matches.length, lines: matches.slice(0, 50).map(lineOf), hash };
+    },
+
+    /**
+     * Apply a unified diff (one or more files; `/dev/null` creates or deletes). Hunks are matched by
+     * context near their stated line, so stale line numbers are fine; `fuzz` is how many outer
+     * context lines may mismatch. Nothing is written unless every hunk applies, or `partial` is set.
+     * `ifMatch` maps paths to hashes from earlier reads; a changed file is reported as ECONFLICT.
+     */
+    fs_apply_patch({ patch, fuzz = 2, strip, dryRun = false, partial = false, ifMatch }) {
+      const filePatches = parsePatch(patch, { strip: strip === undefined ? undefined : Number(strip) });
+      const maxFuzz = Math.max(0, Math.min(3, Math.floor(Number(fuzz)) || 0));
+      const expectedHashes = new Map(
+        Object.entries(ifMatch && typeof ifMatch === "object" ? ifMatch : {}).map(([k, v]) => [normPath(k), v])
+      );
+
+      /** @type {Map<string, { text: string; encoding: string; bom: boolean } | null>} staged content per path (null = deleted) */
+      const staged = new Map();
+      const current = (p) => {
+        if (staged.has(p)) return staged.get(p);
+        return workspace.files.has(p) ? readText(p) : null;
+      };
+
+      const files = [];
+      let ok = true;
+
+      for (const fp of filePatches) {
+        const from = fp.oldPath ? assertUserPath(fp.oldPath) : null;
+        const to = fp.newPath ? assertUserPath(fp.newPath) : null;
+        const action = !from ? "create" : !to ? "delete" : from !== to ? "rename" : "modify";
+        const report = { path: to ?? from, action, ok: true };
+        if (action === "rename") report.from = from;
+        files.push(report);
+
+        const fail = (code) => {
+          report.ok = false;
+          report.error = code;
+          ok = false;
+        };
+
+        const conflict = from && !staged.has(from) ? checkVersion(from, { ifMatch: expectedHashes.get(from) }) : null;
+        if (conflict) {
+          report.ok = false;
+          report.error = "ECONFLICT";
+          report.currentHash = conflict.currentHash;
+          ok = false;
+          continue;
+        }
+
+        const src = from ? current(from) : { text: "", encoding: "utf8", bom: false };
+        if (src === null) {
+          fail("ENOENT");
+          continue;
+        }
+        if (to && to !== from && (current(to) !== null || workspace.dirs.has(to))) {
+          fail("EEXIST");
+          continue;
+        }
+
+        const { lines, eols, eol, finalNewline: hasFinalNewline } = splitLines(src.text);
+
+        const res = applyHunks(lines, fp.hunks, { fuzz: maxFuzz, eols });
+        report.hunks = res.hunks;
+        if (res.hunks.some((h) => !h.ok)) {
+          report.ok = false;
+          ok = false;
+          if (!partial) continue;
+        }
+
+        if (!to) {
+          if (res.lines.some((l) => l !== "")) {
+            fail("ENOTEMPTY");
+            continue;
+          }
+          staged.set(from, null);
+          continue;
+        }
+
+        const finalNewline = res.finalNewline ?? (action === "create" ? true : hasFinalNewline || lines.length === 0);
+        // Untouched lines keep their own terminators; added lines get the file's dominant one.
+        const nl = eolChars(eol);
+        const last = res.lines.length - 1;
+        const out = joinLines(res.lines, res.eols.map((e, i) => (i < last || finalNewline ? e || nl : "")));
+        try {
+          encodeText(out, src);
+        } catch (err) {
+          fail(err.code || "EILSEQ");
+          continue;
+        }
+        if (from && from !== to) staged.set(from, null);
+        staged.set(to, { text: out, encoding: src.encoding, bom: src.bom });
+      }
+
+      const apply = !dryRun && (ok || partial);
+      if (apply) {
+        for (const [p, content] of staged) {
+          if (content === null) {
+            if (workspace.files.has(p)) workspace.delete(p);
+          } else {
+            writeText(p, content.text, content);
+          }
+        }
+      }
+
+      return { ok, applied: apply && staged.size > 0, dryRun: !!dryRun, files };
+    },
+
+    /**
+     * Run several edit operations as one transaction: `operations` are `{ op, ...args }` where `op`
+     * names a tool without its "fs_" prefix (see BATCH_OPS). All operations are validated before
+     * anything runs; if one throws or returns `ok: false`, the workspace is rolled back and the
+     * failing index is reported. `dryRun` always rolls back.
+     */
+    fs_batch({ operations, note, dryRun = false }) {
+      if (!Array.isArray(operations) || operations.length === 0) {
+        return { ok: false, code: "EINVAL", error: "operations must be a non-empty array" };
+      }
+      if (operations.length > MAX_BATCH_OPS) {
+        return { ok: false, code: "EINVAL", error: `at most ${MAX_BATCH_OPS} operations per batch` };
+      }
+
+      const plan = [];
+      for (let i = 0; i < operations.length; i += 1) {
+        const raw = operations[i] && typeof operations[i] === "object" ? operations[i] : {};
+        const op = String(raw.op ?? "").replace(/^fs_/, "");
+        const required = BATCH_OPS[op];
+        const problem = !required
+          ? `unknown op ${JSON.stringify(raw.op)} (expected one of ${Object.keys(BATCH_OPS).join(", ")})`
+          : required.filter((k) => raw[k] === undefined || raw[k] === null).map((k) => `missing ${k}`).join(", ");
+        if (problem) return { ok: false, code: "EINVAL", index: i, error: problem };
+        try {
+          for (const k of ["path", "from", "to"]) if (typeof raw[k] === "string") assertUserPath(raw[k]);
+          if (op === "apply_patch") parsePatch(raw.patch);
+        } catch (err) {
+          return { ok: false, code: err?.code || "EINVAL", index: i, error: String(err?.message || err) };
+        }
+        const args = { ...raw };
+        delete args.op;
+        plan.push({ op, args });
+      }
+
+      const snapshot = workspace.snapshotTree();
+      const results = [];
+      let failure = null;
+      for (let i = 0; i < plan.length; i += 1) {
+        const { op, args } = plan[i];
+        let out;
+        try {
+          out = tools[`fs_${op}`](args);
+        } catch (err) {
+          out = { ok: false, code: err?.code, error: String(err?.message || err) };
+        }
+        results.push({ index: i, op, ...out });
+        if (out?.ok === false) {
+          failure = { index: i, op, code: out.code, error: out.error ?? out.code ?? "failed" };
+          break;
+        }
+      }
+
+      const apply = !failure && !dryRun;
+      if (!apply) workspace.restoreTree(snapshot);
+      const out = { ok: !failure, applied: apply, dryRun: !!dryRun, results };
+      if (note) out.note = String(note);
+      if (failure) Object.assign(out, { failedIndex: failure.index, code: failure.code, error: `op ${failure.index} (${failure.op}): ${failure.error}` });
+      return out;
     }
   };
+
+  return tools;
 }
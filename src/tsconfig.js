@@ -0,0 +1,249 @@
+import path from "node:path";
+import { resolveAsFile } from "./node_resolve.js";
+
+const posix = path.posix;
+
+// Looked up at the workspace root, in this order.
+export const CONFIG_FILES = ["/tsconfig.json", "/jsconfig.json"];
+const MAX_EXTENDS_DEPTH = 8;
+
+// compilerOptions esbuild applies itself (via `tsconfigRaw`); everything else is ignored.
+const PASSTHROUGH = {
+  jsx: ["preserve", "react", "react-jsx", "react-jsxdev", "react-native"],
+  jsxFactory: "string",
+  jsxFragmentFactory: "string",
+  jsxImportSource: "string",
+  experimentalDecorators: "boolean",
+  useDefineForClassFields: "boolean",
+  verbatimModuleSyntax: "boolean",
+  preserveValueImports: "boolean",
+  importsNotUsedAsValues: ["remove", "preserve", "error"],
+  alwaysStrict: "boolean"
+};
+const TARGET_RE = /^es(3|5|6|20\d\d|next)$/i;
+
+// esbuild accepts a JSON literal or a dotted identifier as a define value.
+function isDefineValue(v) {
+  if (typeof v !== "string") return false;
+  if (/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(v)) return true;
+  try {
+    JSON.parse(v);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Strip `//` and `/* *\/` comments and trailing commas (tsconfig files are JSONC), keeping every
+ * other character at its offset so JSON.parse positions still point into the original text.
+ */
+export function stripJsonComments(text) {
+  let out = "";
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"' && text[j] !== "\n") j += text[j] === "\\" ? 2 : 1;
+      out += text.slice(i, j + 1);
+      i = j + 1;
+    } else if (c === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") (out += " "), (i += 1);
+    } else if (c === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      const stop = end < 0 ? text.length : end + 2;
+      out += text.slice(i, stop).replace(/[^\n]/g, " ");
+      i = stop;
+    } else {
+      out += c;
+      i += 1;
+    }
+  }
+  return out.replace(/,(\s*[}\]])/g, " $1");
+}
+
+// esbuild-style message so build failures and config errors share one diagnostic path.
+function configMessage(text, file, source, offset = null, notes = []) {
+  let location = { file: `zip:${file}`, line: 1, column: 0, lineText: "" };
+  if (source !== null) {
+    const at = Math.max(0, Math.min(offset ?? 0, source.length));
+    const before = source.slice(0, at).split("\n");
+    const line = before.length;
+    location = { ...location, line, column: offset === null ? 0 : before[line - 1].length, lineText: source.split("\n")[line - 1] ?? "" };
+  }
+  return { text, location, notes: notes.map((t) => ({ text: t })) };
+}
+
+// Offset of `"key"` in the source, to point option errors at the offending line.
+function keyOffset(source, key) {
+  const i = source.indexOf(`"${key}"`);
+  return i >= 0 ? i : null;
+}
+
+function readConfigFile(workspace, file, errors) {
+  const source = Buffer.from(workspace.readFile(file)).toString("utf8").replace(/^\uFEFF/, "");
+  try {
+    const json = JSON.parse(stripJsonComments(source));
+    if (!json || typeof json !== "object" || Array.isArray(json)) {
+      errors.push(configMessage(`Invalid ~${file}: expected a JSON object`, file, source));
+      return null;
+    }
+    return { json, source };
+  } catch (err) {
+    const pos = /position (\d+)/.exec(err.message);
+    errors.push(configMessage(`Invalid JSON in ~${file}: ${err.message.replace(/ in JSON at position.*$/, "")}`, file, source, pos ? Number(pos[1]) : null));
+    return null;
+  }
+}
+
+// "./base.json", "../tsconfig.json" or a package ("@tsconfig/node20/tsconfig.json") in ~/node_modules.
+function resolveExtends(workspace, spec, fromFile) {
+  const base = spec.startsWith(".") || spec.startsWith("/") ? posix.resolve(posix.dirname(fromFile), spec) : posix.join("/node_modules", spec);
+  for (const p of [base, `${base}.json`, posix.join(base, "tsconfig.json")]) {
+    if (workspace.stat(p)?.type === "file") return p;
+  }
+  return resolveAsFile(workspace, base);
+}
+
+/**
+ * Read `~/tsconfig.json` (or `~/jsconfig.json`), following `extends`, and turn it into bundler settings:
+ *
+ * - `tsconfigRaw`: the JSX / decorator / class-field options esbuild applies itself
+ * - `target`: esbuild target for `compilerOptions.target` (lowered together with node20)
+ * - `paths` / `baseUrl`: alias lookup for `workspaceResolverPlugin` (absolute workspace paths)
+ * - `define`: from a top-level `"esbuild": { "define": { ... } }` block
+ *
+ * Unknown options are ignored. `errors` holds esbuild-style messages for a config that cannot be
+ * used (bad JSON, wrong option types, broken `extends`); `file` is null when there is no config.
+ */
+export function loadTsconfig(workspace) {
+  const file = CONFIG_FILES.find((p) => workspace.stat(p)?.type === "file") ?? null;
+  /** @type {any[]} */
+  const errors = [];
+  if (!file) return { file: null, errors, settings: null };
+
+  // Most derived config last; compilerOptions merge key by key, paths/baseUrl stay relative to
+  // the file that set them.
+  const chain = [];
+  const seen = new Set();
+  for (let current = file, depth = 0; current; depth += 1) {
+    if (seen.has(current) || depth > MAX_EXTENDS_DEPTH) {
+      errors.push(configMessage(`Circular or too deep "extends" chain in ~${file}`, file, null));
+      break;
+    }
+    seen.add(current);
+    const read = readConfigFile(workspace, current, errors);
+    if (!read) break;
+    chain.unshift({ file: current, ...read });
+    const ext = read.json.extends;
+    if (ext === undefined) break;
+    const first = Array.isArray(ext) ? ext[0] : ext;
+    if (typeof first !== "string" || (Array.isArray(ext) && ext.length > 1)) {
+      errors.push(configMessage(`"extends" in ~${current} must be a single path`, current, read.source, keyOffset(read.source, "extends")));
+      break;
+    }
+    current = resolveExtends(workspace, first, current);
+    if (!current) {
+      errors.push(configMessage(`Cannot find "${first}" (extended by ~${chain[0].file})`, chain[0].file, chain[0].source, keyOffset(chain[0].source, "extends")));
+    }
+  }
+  if (errors.length) return { file, errors, settings: null };
+
+  const compilerOptions = {};
+  let baseUrl = null;
+  let paths = null;
+  let define = {};
+  for (const { file: f, json, source } of chain) {
+    const co = json.compilerOptions ?? {};
+    const bad = (key, want) => errors.push(configMessage(`Invalid "${key}" in ~${f}: expected ${want}`, f, source, keyOffset(source, key)));
+    if (typeof co !== "object" || Array.isArray(co)) {
+      bad("compilerOptions", "an object");
+      continue;
+    }
+    for (const [key, want] of Object.entries(PASSTHROUGH)) {
+      if (co[key] === undefined) continue;
+      const value = Array.isArray(want) && typeof co[key] === "string" ? co[key].toLowerCase() : co[key];
+      if (Array.isArray(want) ? !want.includes(value) : typeof value !== want) bad(key, Array.isArray(want) ? want.join(", ") : `a ${want}`);
+      else compilerOptions[key] = value;
+    }
+    if (co.target !== undefined) {
+      if (typeof co.target === "string" && TARGET_RE.test(co.target)) compilerOptions.target = co.target.toLowerCase();
+      else bad("target", "ES5, ES2015 … ES2024 or ESNext");
+    }
+    if (co.baseUrl !== undefined) {
+      if (typeof co.baseUrl === "string") baseUrl = posix.resolve(posix.dirname(f), co.baseUrl);
+      else bad("baseUrl", "a string");
+    }
+    if (co.paths !== undefined) {
+      const ok =
+        co.paths && typeof co.paths === "object" && !Array.isArray(co.paths) &&
+        Object.entries(co.paths).every(([k, v]) => k.split("*").length <= 2 && Array.isArray(v) && v.every((t) => typeof t === "string" && t.split("*").length <= 2));
+      if (ok) paths = { map: co.paths, from: posix.dirname(f) };
+      else bad("paths", 'an object of arrays, e.g. { "@/*": ["./src/*"] }, with at most one * per entry');
+    }
+    const esb = json.esbuild;
+    if (esb !== undefined) {
+      const ok =
+        esb && typeof esb === "object" && !Array.isArray(esb) &&
+        (esb.define === undefined || (esb.define && typeof esb.define === "object" && !Array.isArray(esb.define)));
+      if (!ok) bad("esbuild", '{ "define": { "NAME": "<value>" } }');
+      for (const [name, value] of Object.entries((ok && esb.define) || {})) {
+        if (isDefineValue(value)) define[name] = value;
+        else {
+          const hint = 'expected a JSON literal or an identifier in a string, e.g. "true", "\\"prod\\"" or "globalThis.x"';
+          errors.push(configMessage(`Invalid define value for "${name}" in ~${f}: ${hint}`, f, source, keyOffset(source, name)));
+        }
+      }
+    }
+  }
+  if (errors.length) return { file, errors, settings: null };
+
+  // Without baseUrl, paths targets are relative to the config that declares them (as in TS 4.1+).
+  const pathsBase = baseUrl ?? paths?.from ?? null;
+  const target = compilerOptions.target ? { es3: "es5", es6: "es2015" }[compilerOptions.target] ?? compilerOptions.target : null;
+  return {
+    file,
+    errors,
+    settings: {
+      tsconfigRaw: { compilerOptions },
+      target,
+      define,
+      baseUrl,
+      paths: paths ? { map: paths.map, base: pathsBase } : null,
+      // JS files may contain JSX once a project configures it (typical for jsconfig.json setups).
+      jsxInJs: compilerOptions.jsx !== undefined
+    }
+  };
+}
+
+/**
+ * Candidate workspace paths for `spec` from `paths` (longest matching prefix first, targets in
+ * order) and then `baseUrl`. The caller probes them like relative imports.
+ */
+export function aliasCandidates(settings, spec) {
+  const out = [];
+  if (settings?.paths) {
+    const { map, base } = settings.paths;
+    let best = null;
+    for (const key of Object.keys(map)) {
+      const star = key.indexOf("*");
+      if (star < 0) {
+        if (key === spec) {
+          best = { key, match: "", prefix: key.length + 1 };
+          break;
+        }
+        continue;
+      }
+      const prefix = key.slice(0, star);
+      const suffix = key.slice(star + 1);
+      if (spec.length >= prefix.length + suffix.length && spec.startsWith(prefix) && spec.endsWith(suffix) && (!best || prefix.length > best.prefix)) {
+        best = { key, match: spec.slice(prefix.length, spec.length - suffix.length), prefix: prefix.length };
+      }
+    }
+    if (best) for (const t of map[best.key]) out.push(posix.resolve(base, t.replace("*", best.match)));
+  }
+  // "~/x" is always a workspace path; only `paths` can remap it.
+  if (settings?.baseUrl && !spec.startsWith("~/")) out.push(posix.resolve(settings.baseUrl, spec));
+  return out;
+}
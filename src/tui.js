@@ -4,27 +4,62 @@ import readline from "node:readline/promises";
 import { stdin as input, stdout as output } from "node:process";
 import { loadWorkspaceFromZipPath, saveWorkspaceToZipPath, createHostToolHandlers } from "./host_session.js";
 import { loadChatState, saveChatState } from "./chat_store.js";
-import { makeStyles, indentLines, formatToolArgs, summarizeToolResult } from "./ui.js";
+import { makeStyles, indentLines, formatToolArgs, summarizeToolResult, formatExecEvent, formatDiagnostics } from "./ui.js";
 import { normalizeAndValidatePlanItems, formatPlanForTui, formatPlanReminderForModel } from "./plan.js";
 
 dotenv.config();
 
+const VALUE_FLAGS = new Set([
+  "--zip",
+  "--chat",
+  "--model",
+  "--base-url",
+  "--import",
+  "--import-to",
+  "--export",
+  "--export-from",
+  "--max-file-size",
+  "--max-total-size",
+  "--exec-timeout",
+  "--exec-heap",
+  "--exec-max-output",
+  "--exec-max-write",
+  "--exec-max-files",
+  "--exec-workers",
+  "--exec-max-runs",
+  "--pkg-store"
+]);
+const LIST_FLAGS = new Set(["--include", "--exclude"]);
+
 function parseArgs(argv) {
-  /** @type {Record<string, string | boolean>} */
+  /** @type {Record<string, string | boolean | string[]>} */
   const out = {};
   for (let i = 0; i < argv.length; i += 1) {
     const a = argv[i];
-    if (a === "--zip" || a === "--chat" || a === "--model" || a === "--base-url") {
+    if (VALUE_FLAGS.has(a) || LIST_FLAGS.has(a)) {
       const v = argv[i + 1];
       if (!v || v.startsWith("--")) throw new Error(`Missing value for ${a}`);
-      out[a.slice(2)] = v;
+      if (LIST_FLAGS.has(a)) out[a.slice(2)] = [...(out[a.slice(2)] || []), v];
+      else out[a.slice(2)] = v;
       i += 1;
       continue;
     }
+    if (a === "--dry-run" || a === "--overwrite") {
+      out[a.slice(2)] = true;
+      continue;
+    }
     if (a === "--verbose-tools") {
       out["verbose-tools"] = true;
       continue;
     }
+    if (a === "--lazy-zip") {
+      out["lazy-zip"] = true;
+      continue;
+    }
+    if (a === "--persist-search-index") {
+      out["persist-search-index"] = true;
+      continue;
+    }
     if (a === "--help" || a === "-h") {
       out.help = true;
       continue;
@@ -34,7 +69,78 @@ function parseArgs(argv) {
   return out;
 }
 
+/**
+ * Split a command line on whitespace, honoring "double" and 'single' quotes (for host paths).
+ */
+function splitCommandLine(text) {
+  const out = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  for (let m = re.exec(text); m; m = re.exec(text)) out.push(m[1] ?? m[2] ?? m[3]);
+  return out;
+}
+
+/** "500k", "10M", "1g" or plain bytes. */
+function parseByteSize(v) {
+  const m = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(v ?? "").trim());
+  if (!m) throw new Error(`Invalid size: ${v}`);
+  const mult = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[m[2].toLowerCase()];
+  return Math.floor(Number(m[1]) * mult);
+}
+
+/**
+ * Options shared by `:import` / `:export` and the matching CLI flags.
+ */
+function parseTransferOptions(tokens) {
+  const opts = { positional: [], include: [], exclude: [], dryRun: false, overwrite: false };
+  for (let i = 0; i < tokens.length; i += 1) {
+    const t = tokens[i];
+    const value = () => {
+      const v = tokens[i + 1];
+      if (v === undefined) throw new Error(`Missing value for ${t}`);
+      i += 1;
+      return v;
+    };
+    if (t === "--include") opts.include.push(value());
+    else if (t === "--exclude") opts.exclude.push(value());
+    else if (t === "--max-file-size") opts.maxFileBytes = parseByteSize(value());
+    else if (t === "--max-total-size") opts.maxTotalBytes = parseByteSize(value());
+    else if (t === "--dry-run") opts.dryRun = true;
+    else if (t === "--overwrite") opts.overwrite = true;
+    else if (t.startsWith("--")) throw new Error(`Unknown option: ${t}`);
+    else opts.positional.push(t);
+  }
+  return opts;
+}
+
+function printTransfer(kind, res, styles, { limit = 40 } = {}) {
+  const verb = res.dryRun ? `would ${kind}` : `${kind}ed`;
+  const where = kind === "import" ? `${res.hostDir} → ~${res.dest}` : `~${res.src} → ${res.hostDir}`;
+  console.log(styles.yellow(`-- ${kind}${res.dryRun ? " (dry run)" : ""}: ${where} --`));
+  for (const f of res.files.slice(0, limit)) {
+    console.log(`${styles.cyan(kind === "import" ? "+" : "→")} ${styles.cyan(f.path)} ${styles.dim(`${f.size} bytes`)}`);
+  }
+  if (res.files.length > limit) console.log(styles.dim(`… ${res.files.length - limit} more file(s)`));
+  for (const sk of res.skipped.slice(0, limit)) console.log(styles.dim(`skip ${sk.path} (${sk.reason})`));
+  if (res.skipped.length > limit) console.log(styles.dim(`… ${res.skipped.length - limit} more skipped`));
+  console.log(
+    styles.dim(
+      `${verb} ${res.files.length} file(s), ${res.bytes} bytes${res.dirs.length ? `, ${res.dirs.length} empty dir(s)` : ""}${
+        res.skipped.length ? `, skipped ${res.skipped.length}` : ""
+      }`
+    )
+  );
+}
+
 function getToolSchemas() {
+  const ifMatch = {
+    type: "string",
+    description: "Only write if the file's current hash equals this (the `hash` from an earlier read); otherwise ECONFLICT."
+  };
+  const encoding = {
+    type: "string",
+    enum: ["auto", "utf8", "utf16le", "utf16be", "latin1"],
+    description: "Text encoding (default: auto-detect from BOM, else UTF-8, else Latin-1)."
+  };
   return [
     {
       type: "function",
@@ -75,11 +181,13 @@ function getToolSchemas() {
       type: "function",
       function: {
         name: "fs_read",
-        description: "Read a file from the workspace.",
+        description:
+          "Read a file from the workspace. Returns its content hash (pass it as ifMatch when editing) and its encoding, BOM, EOL style and final-newline state.",
         parameters: {
           type: "object",
           properties: {
-            path: { type: "string", description: "POSIX path rooted at ~/" }
+            path: { type: "string", description: "POSIX path rooted at ~/" },
+            encoding
           },
           required: ["path"],
           additionalProperties: false
@@ -90,13 +198,15 @@ function getToolSchemas() {
       type: "function",
       function: {
         name: "fs_read_lines",
-        description: "Read a range of lines (1-based) from a UTF-8 text file in the workspace.",
+        description:
+          "Read a range of lines (1-based) from a UTF-8 text file in the workspace. Returns the file `hash` and the `rangeHash` of these lines.",
         parameters: {
           type: "object",
           properties: {
             path: { type: "string", description: "POSIX path rooted at ~/" },
             startLine: { type: "number", description: "1-based start line (inclusive)." },
-            endLine: { type: "number", description: "1-based end line (inclusive)." }
+            endLine: { type: "number", description: "1-based end line (inclusive)." },
+            encoding
           },
           required: ["path"],
           additionalProperties: false
@@ -108,28 +218,99 @@ function getToolSchemas() {
       function: {
         name: "fs_search",
         description:
-          "Search for a literal substring across text files in the workspace and return small, patch-friendly line contexts.",
+          "Search text files in the workspace (literal substring by default, or a JavaScript regex) and return small, patch-friendly line contexts.",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string", description: "Substring to search for, or a RegExp source when regex is true." },
+            path: { type: "string", description: "Search scope (directory or file path), rooted at ~/." },
+            regex: { type: "boolean", description: "Treat query as a JavaScript RegExp source (default false)." },
+            flags: { type: "string", description: "RegExp flags for regex mode, e.g. \"i\" or \"s\"." },
+            wholeWord: { type: "boolean", description: "Only match whole identifiers/words." },
+            caseSensitive: {
+              type: "boolean",
+              description: "Override case sensitivity (default: smart-case for literals, case-sensitive for regex)."
+            },
+            multiline: {
+              type: "boolean",
+              description: "Match across line breaks. Implied when the query contains a newline (or \\n in regex mode)."
+            },
+            include: {
+              anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+              description: "Only search files matching these globs (relative to path; \"*.ts\" matches at any depth)."
+            },
+            exclude: {
+              anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+              description: "Skip files matching these globs, e.g. \"**/*.min.js\"."
+            }
+          },
+          required: ["query"],
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "fs_semantic_search",
+        description:
+          "Ranked (BM25) search: return the few best-matching ~30-line chunks for keywords or a short description, best first.",
         parameters: {
           type: "object",
           properties: {
-            query: { type: "string", description: "Literal substring to search for." },
-            path: { type: "string", description: "Search scope (directory or file path), rooted at ~/." }
+            query: { type: "string", description: "Keywords or identifiers, e.g. \"zip central directory parse\"." },
+            path: { type: "string", description: "Search scope (directory or file path), rooted at ~/." },
+            limit: { type: "integer", minimum: 1, maximum: 20, description: "Max chunks to return (default 5)." }
           },
           required: ["query"],
           additionalProperties: false
         }
       }
     },
+    {
+      type: "function",
+      function: {
+        name: "fs_glob",
+        description:
+          "Find files/directories by glob pattern (supports **, *, ?, [abc], {a,b}; prefix a pattern with ! to exclude). Results are paginated.",
+        parameters: {
+          type: "object",
+          properties: {
+            pattern: {
+              anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+              description: "Glob(s) relative to path, e.g. \"**/*.ts\" or [\"src/**\", \"!**/*.test.ts\"]."
+            },
+            path: { type: "string", description: "Directory to search from, rooted at ~/ (default ~/)." },
+            type: { type: "string", enum: ["file", "dir", "any"] },
+            minSize: { type: "number", description: "Minimum file size in bytes." },
+            maxSize: { type: "number", description: "Maximum file size in bytes." },
+            modifiedAfter: { type: "string", description: "ISO timestamp; only entries modified at/after it." },
+            modifiedBefore: { type: "string", description: "ISO timestamp; only entries modified at/before it." },
+            dot: { type: "boolean", description: "Let wildcards match dot-files (default false)." },
+            sortBy: { type: "string", enum: ["path", "size", "mtime"], description: "size/mtime sort largest/newest first." },
+            offset: { type: "number", description: "Skip this many results (use nextOffset from the previous page)." },
+            limit: { type: "number", description: "Page size (default 100, max 1000)." }
+          },
+          required: ["pattern"],
+          additionalProperties: false
+        }
+      }
+    },
     {
       type: "function",
       function: {
         name: "fs_write",
-        description: "Write a file in the workspace.",
+        description:
+          "Write a file in the workspace. Overwriting keeps the file's encoding, BOM and line endings unless overridden.",
         parameters: {
           type: "object",
           properties: {
             path: { type: "string", description: "POSIX path rooted at ~/" },
-            content: { type: "string", description: "UTF-8 text content." }
+            content: { type: "string", description: "Text content." },
+            ifMatch,
+            encoding: { ...encoding, description: "Text encoding to write (default: keep the existing file's, else utf8)." },
+            bom: { type: "boolean", description: "Write a byte order mark (default: keep the existing file's)." },
+            eol: { type: "string", enum: ["lf", "crlf"], description: "Line endings to write (default: keep the existing file's)." }
           },
           required: ["path", "content"],
           additionalProperties: false
@@ -140,20 +321,148 @@ function getToolSchemas() {
       type: "function",
       function: {
         name: "fs_patch_lines",
-        description: "Replace a range of lines (1-based, inclusive) in a UTF-8 text file.",
+        description:
+          "Replace a range of lines (1-based, inclusive) in a UTF-8 text file. Pass ifMatch or expectedLines so a stale range is rejected instead of corrupting the file.",
         parameters: {
           type: "object",
           properties: {
             path: { type: "string", description: "POSIX path rooted at ~/" },
             startLine: { type: "number" },
             endLine: { type: "number" },
-            replacement: { type: "string" }
+            replacement: { type: "string" },
+            ifMatch: { type: "string", description: "File `hash`, or the `rangeHash` of exactly this line range, from fs_read_lines." },
+            expectedLines: {
+              type: "array",
+              items: { type: "string" },
+              description: "The current content of lines startLine..endLine; the edit is rejected if they differ."
+            }
           },
           required: ["path", "startLine", "endLine", "replacement"],
           additionalProperties: false
         }
       }
     },
+    {
+      type: "function",
+      function: {
+        name: "fs_replace",
+        description:
+          "Replace exact text in a file. oldText must match exactly once unless replaceAll/expectedCount is given; on a missing or ambiguous match nothing is written and candidate locations are returned.",
+        parameters: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "POSIX path rooted at ~/" },
+            oldText: { type: "string", description: "Text to find (include enough surrounding lines to be unique)." },
+            newText: { type: "string", description: "Replacement text." },
+            expectedCount: { type: "integer", minimum: 1, description: "Exact number of matches expected (all are replaced)." },
+            replaceAll: { type: "boolean", description: "Replace every match." },
+            regex: { type: "boolean", description: "Treat oldText as a JavaScript RegExp source; newText may use $1 / $<name>." },
+            flags: { type: "string", description: "RegExp flags for regex mode, e.g. \"m\" or \"i\"." },
+            ifMatch
+          },
+          required: ["path", "oldText", "newText"],
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "fs_apply_patch",
+        description:
+          "Apply a unified diff (---/+++ headers, @@ hunks; /dev/null creates or deletes a file). Hunks are located by their context lines, so line numbers may be approximate. Reports per-hunk results; nothing is written unless every hunk applies.",
+        parameters: {
+          type: "object",
+          properties: {
+            patch: { type: "string", description: "Unified diff text, possibly covering several files. Paths are rooted at ~/." },
+            fuzz: {
+              type: "integer",
+              minimum: 0,
+              maximum: 3,
+              description: "Outer context lines per hunk that may mismatch (default 2)."
+            },
+            strip: { type: "integer", minimum: 0, description: "Leading path components to strip (default: 1 for a/ b/ paths, else 0)." },
+            dryRun: { type: "boolean", description: "Only report whether the patch applies." },
+            partial: { type: "boolean", description: "Write the hunks that apply even if others are rejected." },
+            ifMatch: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Map of path -> hash from earlier reads; files that changed since are rejected with ECONFLICT."
+            }
+          },
+          required: ["patch"],
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "fs_batch",
+        description:
+          "Apply several edits as one all-or-nothing transaction (one history entry, one save). If any operation fails, nothing is changed and the failing index is reported.",
+        parameters: {
+          type: "object",
+          properties: {
+            operations: {
+              type: "array",
+              maxItems: 100,
+              description:
+                "Operations in order. Each is { op, ...args } with the same args as the fs_<op> tool, e.g. { op: \"write\", path, content } or { op: \"replace\", path, oldText, newText }.",
+              items: {
+                type: "object",
+                properties: {
+                  op: { type: "string", enum: ["write", "patch_lines", "replace", "apply_patch", "mkdir", "delete", "move", "copy"] }
+                },
+                required: ["op"],
+                additionalProperties: true
+              }
+            },
+            note: { type: "string", description: "Short description recorded with the history entry." },
+            dryRun: { type: "boolean", description: "Run everything, report results, then roll back." }
+          },
+          required: ["operations"],
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "fs_tree",
+        description:
+          "Overview of a directory: indented tree with recursive file counts and sizes, text/binary per file, largest files. Big folders are collapsed; start here to orient yourself.",
+        parameters: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "Directory rooted at ~/ (default ~/)." },
+            depth: { type: "integer", minimum: 0, maximum: 10, description: "Levels to expand (default 3)." },
+            maxChildren: { type: "integer", minimum: 1, maximum: 200, description: "Entries shown per folder before collapsing (default 25)." },
+            maxLines: { type: "integer", minimum: 10, maximum: 1000, description: "Output line budget (default 150)." },
+            largest: { type: "integer", minimum: 0, maximum: 50, description: "How many largest files to list (default 10)." }
+          },
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "fs_outline",
+        description:
+          "Outline of JS/TS code (.ts/.tsx/.js/.jsx/.mjs/.cjs): imports, exports, functions, classes with methods, and their line ranges. For a file returns items plus syntax errors (line/column); for a directory returns a compact project map. Use the ranges with fs_read_lines.",
+        parameters: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "File or directory rooted at ~/ (default ~/)." },
+            imports: { type: "boolean", description: "Include imports (default true)." },
+            maxFiles: { type: "integer", minimum: 1, maximum: 2000, description: "Directory mode: max files to outline (default 200)." },
+            maxLines: { type: "integer", minimum: 20, maximum: 5000, description: "Directory mode: output line budget (default 400)." }
+          },
+          additionalProperties: false
+        }
+      }
+    },
     {
       type: "function",
       function: {
@@ -176,7 +485,8 @@ function getToolSchemas() {
         parameters: {
           type: "object",
           properties: {
-            path: { type: "string", description: "POSIX path rooted at ~/" }
+            path: { type: "string", description: "POSIX path rooted at ~/" },
+            hash: { type: "boolean", description: "Include the content hash for files (reads the whole file)" }
           },
           required: ["path"],
           additionalProperties: false
@@ -202,23 +512,82 @@ function getToolSchemas() {
       type: "function",
       function: {
         name: "fs_delete",
-        description: "Delete a file or empty directory in the workspace.",
+        description:
+          "Delete a file or empty directory in the workspace. Set recursive to delete a directory and everything inside it.",
         parameters: {
           type: "object",
           properties: {
-            path: { type: "string", description: "POSIX path rooted at ~/" }
+            path: { type: "string", description: "POSIX path rooted at ~/" },
+            recursive: { type: "boolean", description: "Delete a non-empty directory tree (default false)." },
+            force: { type: "boolean", description: "Succeed silently if the path does not exist (default false)." },
+            ifMatch
           },
           required: ["path"],
           additionalProperties: false
         }
       }
     },
+    {
+      type: "function",
+      function: {
+        name: "fs_move",
+        description: "Move or rename a file or directory (with everything inside it) in the workspace.",
+        parameters: {
+          type: "object",
+          properties: {
+            from: { type: "string", description: "Existing POSIX path rooted at ~/" },
+            to: { type: "string", description: "Target POSIX path rooted at ~/ (parent dirs are created)." },
+            overwrite: { type: "boolean", description: "Replace an existing target file (default false)." },
+            ifMatch
+          },
+          required: ["from", "to"],
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "fs_copy",
+        description: "Copy a file or directory tree in the workspace (directories are merged into an existing target).",
+        parameters: {
+          type: "object",
+          properties: {
+            from: { type: "string", description: "Existing POSIX path rooted at ~/" },
+            to: { type: "string", description: "Target POSIX path rooted at ~/ (parent dirs are created)." },
+            overwrite: { type: "boolean", description: "Replace existing target files (default false)." },
+            ifMatch
+          },
+          required: ["from", "to"],
+          additionalProperties: false
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "pkg_add",
+        description:
+          "Vendor an npm package and its dependencies into ~/node_modules from the host's offline package store (no network), so sandbox code can import it by name. Records versions in ~/pkg-lock.json (one history entry). Packages with install scripts or native addons are refused; a missing package or version is reported with what the store has.",
+        parameters: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Package name, optionally with a version range: \"zod\", \"lodash@^4\", \"@scope/pkg@1.2.3\"." },
+            version: { type: "string", description: "Semver range (default: highest in the store)." },
+            root: { type: "string", description: "Project dir whose node_modules receives the packages (default ~/)." },
+            dryRun: { type: "boolean", description: "Only report what would be added." }
+          },
+          required: ["name"],
+          additionalProperties: false
+        }
+      }
+    },
     {
       type: "function",
       function: {
         name: "js_exec",
         description:
-          "Execute a JS/TS entry file inside the workspace. The runtime has a virtual fs and does not load host Node modules.",
+          "Execute a JS/TS entry file inside the workspace. The runtime has a virtual fs and does not load host Node modules. Waits for pending timers/promises; returns exitCode (process.exit/exitCode, 1 for uncaught errors with the stack in stderr). Runs are capped in time, heap, output, bytes written and files created; a hit cap is reported in limitExceeded. Build errors and warnings come back as diagnostics [{ severity, text, path, line, column, lineText, suggestions }].",
         parameters: {
           type: "object",
           properties: {
@@ -240,23 +609,33 @@ function makeSystemPrompt() {
     "Rules:",
     "- The virtual filesystem root is `~/` (POSIX paths only).",
     "- Maintain a TODO plan with `plan_update` (at most one item can be `in_progress`).",
-    "- You must use the provided fs_* tools to read/write/list/stat/mkdir/delete files.",
+    "- You must use the provided fs_* tools to read/write/list/stat/mkdir/delete/move/copy files.",
+    "- Use `fs_move` / `fs_copy` to rename or duplicate files and folders; do not read + rewrite + delete.",
+    "- Use `fs_batch` for multi-file changes that must land together (e.g. a rename plus its call sites).",
+    "- Start with `fs_tree` to get an overview of an unfamiliar workspace instead of recursive `fs_list` calls.",
+    "- Use `fs_outline` to see a file's or project's symbols with line ranges, then read just those ranges with `fs_read_lines`.",
+    "- Use `fs_glob` to find files by name/pattern instead of walking directories with `fs_list`.",
     "- Use `fs_search` to locate relevant code/strings without reading entire files.",
-    "- Prefer `fs_read_lines` + `fs_patch_lines` for edits; avoid rewriting entire files.",
+    "- Use `fs_semantic_search` when you know what the code does but not the exact string to search for.",
+    "- Prefer `fs_replace` (exact old/new text), `fs_apply_patch` (unified diff) or `fs_read_lines` + `fs_patch_lines` for edits; avoid rewriting entire files.",
     "- Use `js_exec` to run code inside the workspace. It can only access the virtual filesystem.",
+    "- When `js_exec` fails to build, fix the code at each diagnostic's path:line (its `lineText` shows the offending line); stack traces already point at your source files.",
     "- Do not assume you can access the host machine, network, or any host Node.js built-in modules.",
     "",
     "Notes:",
     "- `fs` and `fs/promises` are virtual shims inside the sandbox.",
     "- `path` is a POSIX-only shim (use it for basic join/dirname/basename/normalize if needed).",
-    "- `os` is a minimal shim (EOL, homedir(), tmpdir())."
+    "- `os` is a minimal shim (EOL, homedir(), tmpdir()).",
+    "- Bare imports (`import x from \"pkg\"`) resolve only from packages vendored into `~/node_modules`; use `pkg_add` to vendor one from the offline package store.",
+    "- `js_exec` honors `~/tsconfig.json` / `~/jsconfig.json` (paths/baseUrl aliases, jsx, decorators, target)."
   ].join("\n");
 }
 
 function usage() {
   return [
     "Usage:",
-    "  npm run tui -- --zip <path/to/workspace.zip> [--chat <path/to/chat.json>] [--model <model>] [--base-url <url>] [--verbose-tools]",
+    "  npm run tui -- --zip <path/to/workspace.zip> [--chat <path/to/chat.json>] [--model <model>] [--base-url <url>] [--verbose-tools] [--lazy-zip] [--persist-search-index]",
+    "  npm run tui -- --zip <zip> [--import <hostDir> [--import-to <~/dest>]] [--export <hostDir> [--export-from <~/src>]] [import/export options]",
     "",
     "Commands:",
     "  :plan               Show plan (per chat log)",
@@ -266,14 +645,50 @@ function usage() {
     "  :undo [n]           Undo last change(s)",
     "  :redo [n]           Redo change(s)",
     "  :restore <id>       Restore workspace to a specific history entry",
+    "  :import <hostDir> [~/dest] [opts]",
+    "                      Copy a host directory into the workspace (one history entry)",
+    "  :export <~/src> <hostDir> [opts]",
+    "                      Copy workspace files to a host directory (never ~/.time/)",
+    "",
+    "Import/export options (commands and CLI flags):",
+    "  --include <glob>    Only copy matching paths (repeatable; \"*.ts\" matches at any depth)",
+    "  --exclude <glob>    Skip matching paths; excluded directories are not descended (repeatable)",
+    "  --max-file-size <n> Skip larger files on import (default 10M; accepts k/M/G)",
+    "  --max-total-size <n>",
+    "                      Abort an import larger than this (default 200M)",
+    "  --dry-run           Only list what would be copied",
+    "  --overwrite         Export only: replace existing host files (default: skip them);",
+    "                      imports always replace workspace files",
     "",
     "Options:",
     "  --verbose-tools   Print full tool JSON + autosave info",
+    "  --lazy-zip        Inflate ZIP entries on first read (for large workspaces)",
+    "  --persist-search-index",
+    "                    Keep the fs_semantic_search index in the ZIP (~/.time/) across sessions",
+    "  --import <hostDir>",
+    "                    Import before the session starts (--import-to sets the destination)",
+    "  --export <hostDir>",
+    "                    Export (--export-from sets the source) and exit without starting a session;",
+    "                    with --dry-run, list and exit",
+    "",
+    "js_exec limits:",
+    "  --exec-timeout <ms>     Wall-clock budget per run (default 1500)",
+    "  --exec-heap <MB>        V8 heap limit of the runner process (default 256)",
+    "  --exec-max-output <n>   Cap on captured stdout and on stderr, each (default 64k)",
+    "  --exec-max-write <n>    Cap on bytes written to the workspace per run (default 64M)",
+    "  --exec-max-files <n>    Cap on files and directories created per run (default 2000)",
+    "  --exec-workers <n>      Long-lived runner processes (default 1; 0 spawns one per run)",
+    "  --exec-max-runs <n>     Replace a runner after this many runs (default 50)",
+    "",
+    "Packages:",
+    "  --pkg-store <dir>       Offline package store for pkg_add (.tgz files or unpacked package dirs)",
     "",
     "Defaults:",
     "  --chat defaults to <zip>.chat.json",
+    "  :import/--import copy into ~/ unless a destination is given; :export/--export copy from ~/",
     "  --model defaults to env MODEL or gpt-oss:20b",
     "  --base-url defaults to env OPENAI_BASE_URL or http://localhost:11434/v1",
+    "  --pkg-store defaults to env PKG_STORE (pkg_add is unavailable without one)",
     "  Set NO_COLOR=1 to disable ANSI colors"
   ].join("\n");
 }
@@ -301,17 +716,71 @@ async function main() {
     "http://localhost:11434/v1";
   const apiKey = process.env.OPENAI_API_KEY || "ollama";
   const verboseTools = Boolean(args["verbose-tools"]);
+  const lazyZip = Boolean(args["lazy-zip"]);
+  const persistSearchIndex = Boolean(args["persist-search-index"]);
+  const positiveInt = (flag) => {
+    const n = Number(args[flag]);
+    if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid value for --${flag}: ${args[flag]}`);
+    return n;
+  };
+  const execLimits = {
+    timeoutMs: args["exec-timeout"] ? positiveInt("exec-timeout") : undefined,
+    maxHeapMb: args["exec-heap"] ? positiveInt("exec-heap") : undefined,
+    maxOutputBytes: args["exec-max-output"] ? parseByteSize(args["exec-max-output"]) : undefined,
+    maxWriteBytes: args["exec-max-write"] ? parseByteSize(args["exec-max-write"]) : undefined,
+    maxFiles: args["exec-max-files"] ? positiveInt("exec-max-files") : undefined
+  };
+  const execPool = {
+    workers: args["exec-workers"] !== undefined ? Number(args["exec-workers"]) : undefined,
+    maxRunsPerWorker: args["exec-max-runs"] ? positiveInt("exec-max-runs") : undefined
+  };
+  if (execPool.workers !== undefined && !(Number.isInteger(execPool.workers) && execPool.workers >= 0)) {
+    throw new Error(`Invalid value for --exec-workers: ${args["exec-workers"]}`);
+  }
+
+  const packageStore = /** @type {string|undefined} */ (args["pkg-store"]) || process.env.PKG_STORE || null;
 
   const client = new OpenAI({ apiKey, baseURL });
   const styles = makeStyles();
   const roleAssistant = styles.bold("assistant:");
   const roleTool = styles.bold("tool:");
 
-  const { workspace, existed } = await loadWorkspaceFromZipPath(zipPath);
+  const { workspace, existed } = await loadWorkspaceFromZipPath(zipPath, { lazy: lazyZip });
   if (!existed) {
     await saveWorkspaceToZipPath(workspace, zipPath);
   }
-  const { handlers: toolHandlers, getLastPersist, time } = createHostToolHandlers({ workspace, zipPath });
+  const { handlers: toolHandlers, close: closeSandbox, getLastPersist, time, transfer } = createHostToolHandlers({
+    workspace,
+    zipPath,
+    persistSearchIndex,
+    execLimits,
+    execPool,
+    packageStore
+  });
+
+  const cliTransfer = {
+    include: /** @type {string[]|undefined} */ (args.include),
+    exclude: /** @type {string[]|undefined} */ (args.exclude),
+    maxFileBytes: args["max-file-size"] ? parseByteSize(args["max-file-size"]) : undefined,
+    maxTotalBytes: args["max-total-size"] ? parseByteSize(args["max-total-size"]) : undefined,
+    dryRun: Boolean(args["dry-run"])
+  };
+  let startupImport = null;
+  if (args.import) {
+    const res = await transfer.importDir({ ...cliTransfer, hostDir: args.import, dest: args["import-to"] || "~/" });
+    printTransfer("import", res, styles);
+    if (!res.dryRun) startupImport = res;
+  }
+  if (args.export) {
+    const res = await transfer.exportDir({
+      ...cliTransfer,
+      src: args["export-from"] || "~/",
+      hostDir: args.export,
+      overwrite: Boolean(args.overwrite)
+    });
+    printTransfer("export", res, styles);
+  }
+  if (args.export || cliTransfer.dryRun) return;
 
   const systemPrompt = makeSystemPrompt();
   const loadedChatState = await loadChatState(chatPath);
@@ -337,6 +806,13 @@ async function main() {
     }
     await saveChatState(chatPath, chatState);
   }
+  if (startupImport && resumed) {
+    chatState.messages.push({
+      role: "system",
+      content: `Workspace changed by host import (${startupImport.files.length} file(s) into ~${startupImport.dest}) at ${new Date().toISOString()}. Re-check files before proceeding.`
+    });
+    await saveChatState(chatPath, chatState);
+  }
 
   console.log(`Workspace ZIP: ${zipPath}`);
   console.log(`Chat log:      ${chatPath}`);
@@ -346,6 +822,9 @@ async function main() {
   console.log(`Base URL:      ${baseURL}`);
   console.log(`Colors:        ${styles.enabled ? "on" : "off"}${process.env.NO_COLOR ? " (NO_COLOR)" : ""}`);
   console.log(`Verbose tools: ${verboseTools ? "on" : "off"}`);
+  console.log(`Lazy ZIP:      ${lazyZip ? "on" : "off"}`);
+  console.log(`Search index:  ${persistSearchIndex ? "persisted" : "in-memory"}`);
+  console.log(`Package store: ${packageStore ?? "none (set PKG_STORE)"}`);
   console.log("");
 
   const rl = readline.createInterface({ input, output });
@@ -383,6 +862,18 @@ async function main() {
     console.log(indentLines(lines.slice(1).join("\n"), "  "));
   }
 
+  // Prints streamed js_exec events under the tool line; the model still gets the full result.
+  function makeLiveOutput(maxLines = 200) {
+    let shown = 0;
+    return (event) => {
+      const text = formatExecEvent(event, styles);
+      if (text === null) return;
+      if (shown === maxLines) console.log(styles.dim("  … (more live output not shown)"));
+      if (shown++ >= maxLines) return;
+      console.log(text);
+    };
+  }
+
   async function runToolLoop() {
     const tools = getToolSchemas();
 
@@ -470,7 +961,7 @@ async function main() {
           out = { ok: false, error: `Unknown tool: ${toolName}` };
         } else {
           try {
-            out = await handler(argsObj);
+            out = await handler(argsObj, toolName === "js_exec" ? { onEvent: makeLiveOutput() } : undefined);
           } catch (err) {
             out = { ok: false, error: String(err?.message || err), stack: err?.stack || "" };
           }
@@ -480,6 +971,9 @@ async function main() {
         const mark = isOk ? styles.green("✓") : styles.red("✗");
         const summary = summarizeToolResult(toolName, out);
         console.log(`${roleTool} ${mark} ${styles.cyan(toolName)} ${styles.dim(summary)} ${styles.dim(`(${durMs}ms)`)}`.trimEnd());
+        if (toolName === "js_exec" && Array.isArray(out?.diagnostics) && out.diagnostics.length) {
+          console.log(formatDiagnostics(out.diagnostics, styles));
+        }
 
         if (verboseTools) {
           console.log(indentLines(styles.dim(JSON.stringify(out, null, 2)), "  "));
@@ -522,10 +1016,11 @@ async function main() {
             const absIndex = h.total - h.entries.length + i;
             const marker = absIndex < h.cursor ? styles.green("●") : styles.dim("○");
             const compacted = e.compacted ? styles.dim(" (compacted)") : "";
+            const note = e.note ? ` ${JSON.stringify(e.note)}` : "";
             console.log(
               `${marker} ${styles.cyan(e.id)} ${styles.dim(e.createdAt)} ${styles.dim(e.tool)} ${styles.dim(
                 `${e.changedPaths} change(s)`
-              )}${compacted}`
+              )}${compacted}${note}`
             );
           }
         } catch (err) {
@@ -609,6 +1104,35 @@ async function main() {
         continue;
       }
 
+      if (cmd === "import" || cmd === "export") {
+        try {
+          const opts = parseTransferOptions(splitCommandLine(text).slice(1));
+          const [first, second] = opts.positional;
+          if (!first || (cmd === "export" && !second) || opts.positional.length > 2) {
+            console.log(styles.red(cmd === "import" ? "Usage: :import <hostDir> [~/dest] [opts]" : "Usage: :export <~/src> <hostDir> [opts]"));
+            continue;
+          }
+          const { positional, overwrite, ...rest } = opts;
+          if (cmd === "import") {
+            // Like --import: workspace files are always replaced (one :undo reverts the import).
+            const res = await transfer.importDir({ ...rest, hostDir: first, dest: second || "~/" });
+            printTransfer("import", res, styles);
+            if (!res.dryRun) {
+              chatState.messages.push({
+                role: "system",
+                content: `Workspace changed by host command :import (${res.files.length} file(s) into ~${res.dest}) at ${new Date().toISOString()}. Re-check files before proceeding.`
+              });
+              await saveChatState(chatPath, chatState);
+            }
+          } else {
+            printTransfer("export", await transfer.exportDir({ ...rest, src: first, hostDir: second, overwrite }), styles);
+          }
+        } catch (err) {
+          console.log(styles.red(`${cmd} failed: ${String(err?.message || err)}`));
+        }
+        continue;
+      }
+
       console.log(styles.red(`Unknown command: ${text}`));
       continue;
     }
@@ -624,6 +1148,7 @@ async function main() {
   }
 
   rl.close();
+  await closeSandbox();
 }
 
 main().catch((err) => {
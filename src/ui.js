@@ -66,22 +66,87 @@ export function formatToolArgs(toolName, args) {
       push("startLine", a.startLine);
       push("endLine", a.endLine);
       if (typeof a.replacement === "string") push("replacementLen", a.replacement.length);
+      push("ifMatch", a.ifMatch);
+      if (Array.isArray(a.expectedLines)) push("expectedLines", a.expectedLines.length);
       break;
+    case "fs_batch": {
+      const ops = Array.isArray(a.operations) ? a.operations : [];
+      push("ops", ops.map((o) => o?.op).join(","));
+      push("note", a.note);
+      if (a.dryRun) push("dryRun", true);
+      break;
+    }
+    case "fs_replace":
+      push("path", a.path);
+      if (typeof a.oldText === "string") push("oldLen", a.oldText.length);
+      if (typeof a.newText === "string") push("newLen", a.newText.length);
+      push("expectedCount", a.expectedCount);
+      if (a.replaceAll) push("replaceAll", true);
+      if (a.regex) push("regex", true);
+      break;
+    case "fs_apply_patch": {
+      const patch = typeof a.patch === "string" ? a.patch : "";
+      const paths = Array.from(patch.matchAll(/^(?:\+\+\+|---) (?:[ab]\/)?(\S+)/gm), (m) => m[1]).filter(
+        (p, i, all) => p !== "/dev/null" && all.indexOf(p) === i
+      );
+      push("files", paths.length > 3 ? `${paths.slice(0, 3).join(",")},…` : paths.join(","));
+      push("patchLen", patch.length);
+      if (a.dryRun) push("dryRun", true);
+      if (a.partial) push("partial", true);
+      break;
+    }
     case "fs_list":
     case "fs_stat":
     case "fs_mkdir":
     case "fs_delete":
       push("path", a.path);
-      if (toolName === "fs_mkdir") push("recursive", a.recursive);
+      if (toolName === "fs_mkdir" || toolName === "fs_delete") push("recursive", a.recursive);
+      if (toolName === "fs_delete") push("force", a.force);
+      break;
+    case "fs_move":
+    case "fs_copy":
+      push("from", a.from);
+      push("to", a.to);
+      push("overwrite", a.overwrite);
+      break;
+    case "fs_tree":
+      push("path", a.path);
+      push("depth", a.depth);
+      break;
+    case "fs_outline":
+      push("path", a.path);
+      if (a.imports === false) push("imports", false);
+      break;
+    case "fs_semantic_search":
+      push("query", a.query);
+      push("path", a.path ?? a.pathPrefix);
+      push("limit", a.limit);
+      break;
+    case "fs_glob":
+      push("pattern", Array.isArray(a.pattern) ? a.pattern.join(" ") : a.pattern);
+      push("path", a.path);
+      push("type", a.type);
+      push("offset", a.offset);
       break;
     case "fs_search":
       push("query", a.query);
       push("path", a.path ?? a.pathPrefix);
+      if (a.regex) push("regex", true);
+      if (a.flags) push("flags", a.flags);
+      if (a.wholeWord) push("wholeWord", true);
+      push("include", Array.isArray(a.include) ? a.include.join(" ") : a.include);
+      push("exclude", Array.isArray(a.exclude) ? a.exclude.join(" ") : a.exclude);
       break;
     case "js_exec":
       push("entryPath", a.entryPath);
       if (Array.isArray(a.argv)) push("argv", a.argv);
       break;
+    case "pkg_add":
+      push("name", a.name);
+      push("version", a.version);
+      push("root", a.root);
+      if (a.dryRun) push("dryRun", true);
+      break;
     case "plan_read":
       break;
     case "plan_update":
@@ -100,9 +165,27 @@ export function formatToolArgs(toolName, args) {
 export function summarizeToolResult(toolName, out) {
   if (!out || typeof out !== "object") return String(out);
 
+  if (toolName === "fs_apply_patch" && Array.isArray(out.files)) {
+    const hunks = out.files.flatMap((f) => (Array.isArray(f.hunks) ? f.hunks : []));
+    const rejected = hunks.filter((h) => !h.ok).length;
+    const fileErrors = out.files.filter((f) => f.error).map((f) => `${f.path}:${f.error}`);
+    const status = out.dryRun ? "dry-run" : out.applied ? "applied" : "not applied";
+    return `${status} files=${out.files.length} hunks=${hunks.length - rejected}/${hunks.length}${
+      fileErrors.length ? ` errors=[${fileErrors.join(", ")}]` : ""
+    }`;
+  }
+
+  if (toolName === "fs_batch" && Array.isArray(out.results)) {
+    const status = out.dryRun ? "dry-run" : out.applied ? "applied" : "rolled back";
+    const failed = out.ok === false ? ` ${truncateMiddle(out.error || "failed", 200)}` : "";
+    return `${status} ops=${out.results.length}${failed}`;
+  }
+
   if (out.ok === false) {
     const err = out.error ? truncateMiddle(out.error, 200) : "error";
-    return `error=${JSON.stringify(err)}`;
+    if (out.code === "ECONFLICT") return `conflict ${out.path}: ${out.error} (now ${out.currentHash ?? "missing"})`;
+    const where = Array.isArray(out.candidates) && out.candidates.length ? ` candidates=${out.candidates.map((c) => c.line).join(",")}` : "";
+    return `error=${JSON.stringify(err)}${where}`;
   }
 
   switch (toolName) {
@@ -135,16 +218,86 @@ export function summarizeToolResult(toolName, out) {
       const truncated = out.truncated ? " truncated" : "";
       return `results=${results.length}${truncated}`;
     }
-    case "fs_stat":
-      return `type=${out.type} size=${out.size}`;
+    case "fs_tree": {
+      const t = out.totals || {};
+      return `dirs=${t.dirs} files=${t.files} bytes=${t.bytes}${out.truncated ? " truncated" : ""}`;
+    }
+    case "fs_outline": {
+      const errors = Array.isArray(out.errors) && out.errors.length ? ` errors=${out.errors.length}` : "";
+      if (out.type === "dir") return `files=${out.files}${errors}${out.truncated ? " truncated" : ""}`;
+      return `lines=${out.lines} items=${Array.isArray(out.items) ? out.items.length : 0}${errors}`;
+    }
+    case "fs_semantic_search": {
+      const results = Array.isArray(out.results) ? out.results : [];
+      const top = results[0] ? ` top=${results[0].path}:${results[0].startLine}` : "";
+      return `results=${results.length}${top}`;
+    }
+    case "fs_glob": {
+      const results = Array.isArray(out.results) ? out.results : [];
+      const more = out.nextOffset != null ? ` nextOffset=${out.nextOffset}` : "";
+      return `results=${results.length}/${out.total}${more}`;
+    }
+    case "fs_stat": {
+      const mtime = typeof out.mtime === "string" ? ` mtime=${out.mtime}` : "";
+      return `type=${out.type} size=${out.size}${mtime}`;
+    }
+    case "fs_replace":
+      return `replacements=${out.replacements}${Array.isArray(out.lines) && out.lines.length ? ` lines=${out.lines.join(",")}` : ""}`;
+    case "fs_move":
+    case "fs_copy":
+      return `ok ${out.from} → ${out.to}${out.type ? ` (${out.type})` : ""}`;
     case "js_exec": {
       const exitCode = out.exitCode ?? 0;
       const outLen = typeof out.stdout === "string" ? out.stdout.length : 0;
       const errLen = typeof out.stderr === "string" ? out.stderr.length : 0;
-      return `exitCode=${exitCode} stdoutLen=${outLen} stderrLen=${errLen}`;
+      const limit = out.limitExceeded?.kind ? ` limit=${out.limitExceeded.kind}` : "";
+      const warnings = Array.isArray(out.diagnostics) && out.diagnostics.length ? ` warnings=${out.diagnostics.length}` : "";
+      return `exitCode=${exitCode} stdoutLen=${outLen} stderrLen=${errLen}${limit}${warnings}`;
+    }
+    case "pkg_add": {
+      const added = Array.isArray(out.added) ? out.added.length : 0;
+      const reused = Array.isArray(out.reused) && out.reused.length ? ` reused=${out.reused.length}` : "";
+      const skipped = Array.isArray(out.skipped) && out.skipped.length ? ` skipped=${out.skipped.length}` : "";
+      return `${out.dryRun ? "dry-run " : ""}${out.name}@${out.version} added=${added}${reused}${skipped} bytes=${out.bytes}`;
     }
     default:
       if (typeof out.path === "string") return `ok path=${out.path}`;
       return "ok";
   }
 }
+
+/**
+ * One live line (or a few, for multi-line output) for a streamed js_exec event; null to show nothing.
+ */
+export function formatExecEvent(event, styles) {
+  switch (event?.type) {
+    case "stdout":
+      return indentLines(String(event.text), "  │ ");
+    case "stderr":
+      return styles.red(indentLines(String(event.text), "  │ "));
+    case "fsWrite": {
+      const target = event.from ? `${event.from} → ${event.path}` : event.path;
+      return styles.dim(`  ✎ ${event.op} ${target}`);
+    }
+    case "progress":
+      return event.phase === "run" ? styles.dim(`  · bundled in ${event.bundleMs}ms`) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compact build diagnostics: "path:line:col severity text [plugin]", the source line, then suggestions.
+ */
+export function formatDiagnostics(diagnostics, styles, max = 5) {
+  const lines = [];
+  for (const d of diagnostics.slice(0, max)) {
+    const where = d.path ? `${d.path}${d.line ? `:${d.line}:${d.column}` : ""} ` : "";
+    const mark = d.severity === "error" ? styles.red("error") : styles.yellow("warning");
+    lines.push(`  ${where}${mark} ${d.text}${d.pluginName ? styles.dim(` [${d.pluginName}]`) : ""}`);
+    if (d.lineText) lines.push(styles.dim(`    ${d.line} | ${d.lineText}`));
+    for (const s of d.suggestions ?? []) lines.push(styles.dim(`    hint: ${s}`));
+  }
+  if (diagnostics.length > max) lines.push(styles.dim(`  … ${diagnostics.length - max} more`));
+  return lines.join("\n");
+}
@@ -6,15 +6,22 @@
  *   __vfs.readFile(path, enc?) -> string|Buffer
  *   __vfs.writeFile(path, data, enc?) -> void
  *   __vfs.readdir(path) -> string[]
- *   __vfs.stat(path) -> { type, size }
+ *   __vfs.stat(path) -> { type, size, mtimeMs, mode, comment }
  *   __vfs.mkdir(path, recursive?) -> void
- *   __vfs.deletePath(path) -> void
+ *   __vfs.deletePath(path, { recursive, force }?) -> void
+ *   __vfs.glob(patterns, { cwd, dot }) -> string[]   (paths relative to cwd, sorted)
+ *   __vfs.rename(from, to) -> void                  (overwrites existing files, like rename(2))
+ *   __vfs.copy(from, to, { overwrite, errorOnExist, recursive }) -> void
  *
  * IMPORTANT: These shims intentionally implement only a small subset.
  */
 
 export function makeFsShim() {
   return `
+    import __promises from "fs/promises";
+
+    export const promises = __promises;
+
     const __get = () => {
       if (!globalThis.__vfs) throw new Error("Missing __vfs in sandbox context");
       return globalThis.__vfs;
@@ -26,6 +33,22 @@ export function makeFsShim() {
       return e;
     }
 
+    function __toStats(s) {
+      const isDir = s.type === "dir";
+      const mtime = new Date(s.mtimeMs);
+      return {
+        isFile: () => s.type === "file",
+        isDirectory: () => isDir,
+        isSymbolicLink: () => false,
+        size: s.size,
+        // st_mode: file type bits + permission bits, like Node's fs.Stats.
+        mode: (isDir ? 0o040000 : 0o100000) | (s.mode & 0o7777),
+        mtimeMs: s.mtimeMs,
+        mtime,
+        comment: s.comment || ""
+      };
+    }
+
     export function readFileSync(path, opts) {
       const enc = typeof opts === "string" ? opts : (opts && opts.encoding) || null;
       return __get().readFile(path, enc);
@@ -71,11 +94,7 @@ export function makeFsShim() {
     export function statSync(path) {
       const s = __get().stat(path);
       if (!s) throw __err("ENOENT");
-      return {
-        isFile: () => s.type === "file",
-        isDirectory: () => s.type === "dir",
-        size: s.size
-      };
+      return __toStats(s);
     }
 
     export function mkdirSync(path, opts) {
@@ -91,12 +110,95 @@ export function makeFsShim() {
     }
 
     export function rmSync(path, opts) {
-      const recursive = !!(opts && typeof opts === "object" && opts.recursive);
-      if (recursive) throw __err("ERR_NOT_SUPPORTED", "rmSync: recursive is not supported");
-      return __get().deletePath(path);
+      const o = opts && typeof opts === "object" ? opts : {};
+      return __get().deletePath(path, { recursive: !!o.recursive, force: !!o.force });
+    }
+
+    export function rm(path, opts, cb) {
+      const callback = typeof opts === "function" ? opts : cb;
+      if (typeof callback !== "function") throw new TypeError("callback must be a function");
+      try {
+        rmSync(path, typeof opts === "function" ? undefined : opts);
+        Promise.resolve().then(() => callback(null));
+      } catch (e) {
+        Promise.resolve().then(() => callback(e));
+      }
+    }
+
+    export const constants = { COPYFILE_EXCL: 1, COPYFILE_FICLONE: 2, COPYFILE_FICLONE_FORCE: 4 };
+
+    function __later(callback, fn) {
+      try {
+        const out = fn();
+        Promise.resolve().then(() => callback(null, out));
+      } catch (e) {
+        Promise.resolve().then(() => callback(e));
+      }
+    }
+
+    function __cpOptions(opts) {
+      const o = opts && typeof opts === "object" ? opts : {};
+      return { overwrite: o.force !== false, errorOnExist: !!o.errorOnExist, recursive: !!o.recursive };
+    }
+
+    function __assertCopyable(src, recursive) {
+      const s = __get().stat(src);
+      if (!s) throw __err("ENOENT");
+      if (s.type === "dir" && !recursive) {
+        throw __err("ERR_FS_EISDIR", "Recursive option is required to copy a directory: " + src);
+      }
+    }
+
+    export function globSync(pattern, opts) {
+      const o = opts && typeof opts === "object" ? opts : {};
+      const patterns = Array.isArray(pattern) ? pattern : [pattern];
+      let out = __get().glob(patterns, { cwd: typeof o.cwd === "string" ? o.cwd : "/", dot: !!o.dot });
+      if (typeof o.exclude === "function") out = out.filter((p) => !o.exclude(p));
+      else if (Array.isArray(o.exclude) && o.exclude.length) {
+        const excluded = new Set(__get().glob(o.exclude, { cwd: typeof o.cwd === "string" ? o.cwd : "/", dot: true }));
+        out = out.filter((p) => !excluded.has(p));
+      }
+      return out;
+    }
+
+    export function renameSync(oldPath, newPath) {
+      return __get().rename(oldPath, newPath);
+    }
+
+    export function rename(oldPath, newPath, cb) {
+      if (typeof cb !== "function") throw new TypeError("callback must be a function");
+      __later(cb, () => { __get().rename(oldPath, newPath); });
+    }
+
+    export function copyFileSync(src, dest, mode) {
+      const s = __get().stat(src);
+      if (!s) throw __err("ENOENT");
+      if (s.type !== "file") throw __err("EISDIR");
+      const excl = typeof mode === "number" && (mode & constants.COPYFILE_EXCL) !== 0;
+      return __get().copy(src, dest, { overwrite: !excl, errorOnExist: true, recursive: false });
+    }
+
+    export function copyFile(src, dest, mode, cb) {
+      const callback = typeof mode === "function" ? mode : cb;
+      if (typeof callback !== "function") throw new TypeError("callback must be a function");
+      __later(callback, () => { copyFileSync(src, dest, typeof mode === "number" ? mode : 0); });
+    }
+
+    export function cpSync(src, dest, opts) {
+      const o = __cpOptions(opts);
+      __assertCopyable(src, o.recursive);
+      return __get().copy(src, dest, o);
+    }
+
+    export function cp(src, dest, opts, cb) {
+      const callback = typeof opts === "function" ? opts : cb;
+      if (typeof callback !== "function") throw new TypeError("callback must be a function");
+      __later(callback, () => { cpSync(src, dest, typeof opts === "function" ? undefined : opts); });
     }
 
     export default {
+      constants,
+      promises,
       readFileSync,
       readFile,
       writeFileSync,
@@ -106,7 +208,15 @@ export function makeFsShim() {
       statSync,
       mkdirSync,
       unlinkSync,
-      rmSync
+      rmSync,
+      rm,
+      globSync,
+      renameSync,
+      rename,
+      copyFileSync,
+      copyFile,
+      cpSync,
+      cp
     };
   `;
 }
@@ -124,6 +234,22 @@ export function makeFsPromisesShim() {
       return e;
     }
 
+    function __toStats(s) {
+      const isDir = s.type === "dir";
+      const mtime = new Date(s.mtimeMs);
+      return {
+        isFile: () => s.type === "file",
+        isDirectory: () => isDir,
+        isSymbolicLink: () => false,
+        size: s.size,
+        // st_mode: file type bits + permission bits, like Node's fs.Stats.
+        mode: (isDir ? 0o040000 : 0o100000) | (s.mode & 0o7777),
+        mtimeMs: s.mtimeMs,
+        mtime,
+        comment: s.comment || ""
+      };
+    }
+
     export async function readFile(path, opts) {
       const enc = typeof opts === "string" ? opts : (opts && opts.encoding) || null;
       return __get().readFile(path, enc);
@@ -141,11 +267,7 @@ export function makeFsPromisesShim() {
     export async function stat(path) {
       const s = __get().stat(path);
       if (!s) throw __err("ENOENT");
-      return {
-        isFile: () => s.type === "file",
-        isDirectory: () => s.type === "dir",
-        size: s.size
-      };
+      return __toStats(s);
     }
 
     export async function mkdir(path, opts) {
@@ -161,12 +283,34 @@ export function makeFsPromisesShim() {
     }
 
     export async function rm(path, opts) {
-      const recursive = !!(opts && typeof opts === "object" && opts.recursive);
-      if (recursive) throw __err("ERR_NOT_SUPPORTED", "rm: recursive is not supported");
-      return __get().deletePath(path);
+      const o = opts && typeof opts === "object" ? opts : {};
+      __get().deletePath(path, { recursive: !!o.recursive, force: !!o.force });
+    }
+
+    export async function rename(oldPath, newPath) {
+      __get().rename(oldPath, newPath);
+    }
+
+    export async function copyFile(src, dest, mode) {
+      const s = __get().stat(src);
+      if (!s) throw __err("ENOENT");
+      if (s.type !== "file") throw __err("EISDIR");
+      const excl = typeof mode === "number" && (mode & 1) !== 0; // COPYFILE_EXCL
+      __get().copy(src, dest, { overwrite: !excl, errorOnExist: true, recursive: false });
+    }
+
+    export async function cp(src, dest, opts) {
+      const o = opts && typeof opts === "object" ? opts : {};
+      const recursive = !!o.recursive;
+      const s = __get().stat(src);
+      if (!s) throw __err("ENOENT");
+      if (s.type === "dir" && !recursive) {
+        throw __err("ERR_FS_EISDIR", "Recursive option is required to copy a directory: " + src);
+      }
+      __get().copy(src, dest, { overwrite: o.force !== false, errorOnExist: !!o.errorOnExist, recursive });
     }
 
-    export default { readFile, writeFile, readdir, stat, mkdir, unlink, rm };
+    export default { readFile, writeFile, readdir, stat, mkdir, unlink, rm, rename, copyFile, cp };
   `;
 }
 
@@ -1,28 +1,127 @@
 import vm from "node:vm";
+import { createStackMapper } from "./source_map.js";
+
+// Thrown by process.exit() to unwind the sandboxed caller's stack; never reported as an error. It is
+// shared by all runs because an async caller's rejection can surface after its run has returned.
+const exitSignal = Object.freeze({ sandboxExit: true });
+
+// Unhandled rejections go to the active runs. The process-wide listener stays installed so late exit
+// signals stay handled; anything else with no run to report it crashes the process as Node would.
+/** @type {Set<(reason: any) => void>} */
+const rejectionHandlers = new Set();
+let rejectionListenerInstalled = false;
+
+function watchRejections(handler) {
+  if (!rejectionListenerInstalled) {
+    rejectionListenerInstalled = true;
+    process.on("unhandledRejection", (reason) => {
+      if (reason === exitSignal) return;
+      if (!rejectionHandlers.size) throw reason;
+      for (const h of rejectionHandlers) h(reason);
+    });
+  }
+  rejectionHandlers.add(handler);
+  return () => rejectionHandlers.delete(handler);
+}
 
 /**
  * Run bundled CJS code in a constrained vm context.
  * - Provide a blocked require stub (no host modules)
  * - Provide __vfs (workspace-backed fs)
  * - Capture console output
- * - Enforce a synchronous timeout (vm option) + outer wall-clock kill switch (caller responsibility)
+ * - Keep running while the code has pending timers (and the promises they drive), like Node's event
+ *   loop, until `timeoutMs` is used up; every callback runs under the vm timeout
+ * - `process.exit(code)` / `process.exitCode`; uncaught errors and unhandled rejections go to
+ *   stderr with exit code 1. Code that catches the exit cannot write files or output afterwards
+ * - stdout and stderr are each capped at `maxOutputBytes` (then a truncation marker)
+ * - `onOutput("stdout" | "stderr", line)` sees each captured line as it is printed
+ * - with `sourceMap` (the bundle's decoded map), `bundle.cjs:L:C` positions in crash reports and console
+ *   output point at workspace sources, and crash reports end with an excerpt of the failing line
+ * - Outer wall-clock kill switch is the caller's responsibility
+ *
+ * @returns {Promise<{ stdout: string; stderr: string; exports: any; exitCode: number; timedOut: boolean; limitExceeded: { kind: "output"; limit: number; message: string } | null }>}
  */
-export function runBundledCjs({
+export async function runBundledCjs({
   code,
   filename = "bundle.cjs",
   vfs,
   argv = [],
   env = {},
-  timeoutMs = 1500
+  timeoutMs = 1500,
+  maxOutputBytes = Infinity,
+  onOutput = null,
+  sourceMap = null
 }) {
   const logs = [];
   const errs = [];
+  const deadline = Date.now() + timeoutMs;
+
+  let finished = false; // process.exit, a crash or the timeout: no more callbacks run
+  let timedOut = false;
+  let exitCode = null;
+  let exitCodeProp = undefined;
+  /** @type {(() => void) | null} */
+  let wake = null;
+
+  let outputTruncated = false;
+  // The CJS wrapper below puts one line in front of the bundle.
+  const mapper = sourceMap ? createStackMapper(sourceMap, { filename, lineOffset: 1 }) : null;
+  const isError = (v) => v !== null && typeof v === "object" && Object.prototype.toString.call(v) === "[object Error]";
+  // Like Node's console: errors print their stack.
+  const formatArg = (v) => (isError(v) && typeof v.stack === "string" ? v.stack : String(v));
+  // Stack text keeps only frames from the sandboxed code (not the runner's).
+  const dropHostFrames = (text) =>
+    text
+      .split("\n")
+      .filter((l) => !/^\s+at /.test(l) || l.includes(filename))
+      .join("\n");
+
+  // The first `maxBytes` bytes of `line`, cut at a character boundary.
+  const headBytes = (line, maxBytes) => {
+    const buf = Buffer.from(line);
+    let end = Math.min(buf.length, maxBytes);
+    while (end > 0 && end < buf.length && (buf[end] & 0xc0) === 0x80) end -= 1;
+    return buf.subarray(0, end).toString("utf8");
+  };
 
+  // `write(line)` appends a formatted line, up to `maxOutputBytes` per stream; `print(...args)` is the
+  // console method (formats, drops host frames, source-maps).
+  const out = (sink, stream) => {
+    let bytes = 0;
+    let full = false;
+    const push = (line) => {
+      sink.push(line);
+      onOutput?.(stream, line);
+    };
+    const write = (line) => {
+      if (finished || full) return;
+      const size = Buffer.byteLength(line) + 1;
+      if (bytes + size <= maxOutputBytes) {
+        bytes += size;
+        push(line);
+        return;
+      }
+      full = true;
+      outputTruncated = true;
+      const head = headBytes(line, Math.max(0, maxOutputBytes - bytes));
+      push(`${head}${head ? "\n" : ""}…[output truncated at ${maxOutputBytes} bytes]`);
+    };
+    const print = (...a) => {
+      if (finished || full) return;
+      const joined = a.map(formatArg).join(" ");
+      const text = joined.includes(filename) ? dropHostFrames(joined) : joined;
+      write(mapper ? mapper.remap(text) : text);
+    };
+    return { write, print };
+  };
+  const stdout = out(logs, "stdout");
+  const stderr = out(errs, "stderr");
   const safeConsole = {
-    log: (...a) => logs.push(a.map(String).join(" ")),
-    info: (...a) => logs.push(a.map(String).join(" ")),
-    warn: (...a) => errs.push(a.map(String).join(" ")),
-    error: (...a) => errs.push(a.map(String).join(" "))
+    log: stdout.print,
+    info: stdout.print,
+    debug: stdout.print,
+    warn: stderr.print,
+    error: stderr.print
   };
 
   function safeRequire(spec) {
@@ -31,25 +130,153 @@ export function runBundledCjs({
     throw e;
   }
 
+  /** @type {Map<number, { handle: any; repeat: boolean; ref: boolean }>} */
+  const timers = new Map();
+  let nextTimerId = 1;
+
+  function finish(code) {
+    if (finished) return;
+    finished = true;
+    if (exitCode === null) exitCode = code;
+    for (const t of timers.values()) (t.repeat ? clearInterval : clearTimeout)(t.handle);
+    timers.clear();
+    wake?.();
+  }
+
+  // Node-style report: the error's stack (only frames from the sandboxed code), or "Uncaught <value>".
+  // vm prefixes the stack with the throwing source line; drop it when that line is host code, or
+  // replace it with a source-mapped excerpt.
+  function crash(prefix, err) {
+    if (finished || err === exitSignal) return;
+    let detail =
+      err && typeof err === "object" && typeof err.stack === "string"
+        ? dropHostFrames(err.stack.replace(/^([^\n]*):\d+\n[^]*?\n\n/, (m, file) => (file.endsWith(filename) && !mapper ? m : "")))
+        : `Uncaught ${typeof err === "string" ? JSON.stringify(err) : String(err)}`;
+    if (mapper) {
+      const pos = mapper.firstWorkspacePosition(detail);
+      detail = mapper.remap(detail);
+      const excerpt = pos ? mapper.excerpt(pos) : "";
+      if (excerpt) detail += `\n\n${pos.path}:${pos.line}:${pos.column}\n${excerpt}`;
+    }
+    stderr.write(`${prefix}${detail}`);
+    finish(1);
+  }
+
+  let invokeSlot = null;
+  const invokeScript = new vm.Script("__sandboxInvoke()", { filename: "sandbox-invoke" });
+
+  // Runs `fn` inside the context so the vm timeout applies and the context's microtasks are drained.
+  function invoke(fn, args = []) {
+    if (finished) return;
+    invokeSlot = () => fn(...args);
+    try {
+      invokeScript.runInContext(context, { timeout: Math.max(1, deadline - Date.now()) });
+    } catch (err) {
+      if (err?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+        timedOut = true;
+        finish(124);
+      } else {
+        crash("", err);
+      }
+    } finally {
+      invokeSlot = null;
+    }
+  }
+
+  function addTimer(cb, ms, args, repeat) {
+    if (typeof cb !== "function") throw new TypeError('The "callback" argument must be of type function');
+    const id = nextTimerId++;
+    const delay = Math.max(1, Math.min(2 ** 31 - 1, Number(ms) || 0));
+    const entry = { handle: null, repeat, ref: true };
+    const fire = () => {
+      if (!repeat) timers.delete(id);
+      invoke(cb, args);
+      wake?.();
+    };
+    entry.handle = repeat ? setInterval(fire, delay) : setTimeout(fire, delay);
+    if (!finished) timers.set(id, entry);
+    return {
+      ref() {
+        entry.ref = true;
+        return this;
+      },
+      unref() {
+        entry.ref = false;
+        wake?.();
+        return this;
+      },
+      hasRef: () => entry.ref,
+      [Symbol.toPrimitive]: () => id
+    };
+  }
+
+  function clearTimer(h) {
+    const id = Number(h);
+    const t = timers.get(id);
+    if (!t) return;
+    (t.repeat ? clearInterval : clearTimeout)(t.handle);
+    timers.delete(id);
+    wake?.();
+  }
+
+  let contextPromise = null;
+  const queueMicrotask = (fn) => {
+    if (typeof fn !== "function") throw new TypeError('The "callback" argument must be of type function');
+    contextPromise.resolve().then(() => finished || fn());
+  };
+
+  const processStub = {
+    argv: ["node", filename, ...argv],
+    env: Object.freeze({ ...env }),
+    cwd: () => "/",
+    platform: "linux",
+    versions: {},
+    exit(code) {
+      if (code !== undefined) exitCodeProp = code;
+      finish(Number(exitCodeProp) || 0);
+      throw exitSignal;
+    },
+    nextTick: (fn, ...args) => queueMicrotask(() => fn(...args))
+  };
+  Object.defineProperty(processStub, "exitCode", {
+    get: () => exitCodeProp,
+    set: (v) => {
+      exitCodeProp = v;
+    },
+    enumerable: true
+  });
+
+  // `process.exit()` only throws, and sandboxed code can catch that. Once the run is finished, every
+  // vfs call throws the exit signal again so nothing after the exit reaches the workspace (console
+  // output is already dropped by `out()`).
+  const guardedVfs = new Proxy(vfs, {
+    get(target, key) {
+      const value = Reflect.get(target, key);
+      if (typeof value !== "function") return value;
+      return (...args) => {
+        if (finished) throw exitSignal;
+        return value.apply(target, args);
+      };
+    }
+  });
+
   const sandbox = {
     console: safeConsole,
-    __vfs: vfs,
+    __vfs: guardedVfs,
     // minimal process stub
-    process: Object.freeze({
-      argv: ["node", filename, ...argv],
-      env: Object.freeze({ ...env }),
-      cwd: () => "/",
-      platform: "linux",
-      versions: {}
-    }),
+    process: Object.freeze(processStub),
     Buffer,
     TextEncoder,
     TextDecoder,
-    setTimeout,
-    clearTimeout,
-    setInterval,
-    clearInterval
+    setTimeout: (cb, ms, ...args) => addTimer(cb, ms, args, false),
+    setInterval: (cb, ms, ...args) => addTimer(cb, ms, args, true),
+    setImmediate: (cb, ...args) => addTimer(cb, 0, args, false),
+    clearTimeout: clearTimer,
+    clearInterval: clearTimer,
+    clearImmediate: clearTimer,
+    queueMicrotask
   };
+  Object.defineProperty(sandbox, "__sandboxInvoke", { value: () => invokeSlot?.(), enumerable: false });
 
   // Hardening: disable eval/new Function inside this context (best effort).
   const context = vm.createContext(sandbox, {
@@ -57,25 +284,56 @@ export function runBundledCjs({
     microtaskMode: "afterEvaluate",
     codeGeneration: { strings: false, wasm: false }
   });
+  contextPromise = vm.runInContext("Promise", context);
 
-  const module = { exports: {} };
-  const exports = module.exports;
+  const unwatchRejections = watchRejections((reason) => crash("Unhandled promise rejection: ", reason));
 
-  // Wrap like Node does for CJS.
-  const wrapped = `(function (require, module, exports) { "use strict";\n${code}\n})`;
+  try {
+    const module = { exports: {} };
+    const exports = module.exports;
 
-  const script = new vm.Script(wrapped, { filename });
-  const fn = script.runInContext(context, { timeout: timeoutMs });
+    // Wrap like Node does for CJS.
+    const wrapped = `(function (require, module, exports) { "use strict";\n${code}\n})`;
 
-  // Execute
-  fn(safeRequire, module, exports);
+    const script = new vm.Script(wrapped, { filename });
+    const fn = script.runInContext(context, { timeout: timeoutMs });
 
-  // Allow promise microtasks created during execution to run (best-effort).
-  new vm.Script("").runInContext(context, { timeout: timeoutMs });
+    // Execute
+    invoke(fn, [safeRequire, module, exports]);
 
-  return {
-    stdout: logs.join("\n"),
-    stderr: errs.join("\n"),
-    exports: module.exports
-  };
+    // Event loop: wait for the next timer (or the deadline) while any referenced timer is pending.
+    const hasRefTimers = () => Array.from(timers.values()).some((t) => t.ref);
+    while (!finished) {
+      // Let Node report rejections from the microtasks that just ran.
+      await new Promise((resolve) => setImmediate(resolve));
+      if (finished || !hasRefTimers()) break;
+      if (Date.now() >= deadline) {
+        timedOut = true;
+        finish(124);
+        break;
+      }
+      await new Promise((resolve) => {
+        const t = setTimeout(resolve, deadline - Date.now());
+        wake = () => {
+          clearTimeout(t);
+          resolve();
+        };
+      });
+      wake = null;
+    }
+    finish(Number(exitCodeProp) || 0);
+
+    return {
+      stdout: logs.join("\n"),
+      stderr: errs.join("\n"),
+      exports: module.exports,
+      exitCode: exitCode ?? 0,
+      timedOut,
+      limitExceeded: outputTruncated
+        ? { kind: "output", limit: maxOutputBytes, message: `output over ${maxOutputBytes} bytes was truncated` }
+        : null
+    };
+  } finally {
+    unwatchRejections();
+  }
 }
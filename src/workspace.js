@@ -1,66 +1,131 @@
-import { unzipSync, zipSync } from "fflate";
 import path from "node:path";
 import { normPath } from "./path_utils.js";
+import { readZipEntries, entryRawData, inflateRaw, inflatePrefix, compressEntry, writeZip } from "./zip_format.js";
 
 const posix = path.posix;
 
+export const DEFAULT_FILE_MODE = 0o644;
+export const DEFAULT_DIR_MODE = 0o755;
+
+const EMPTY = new Uint8Array(0);
+
+function sameStoredBytes(a, b) {
+  if (!a.zip || !b.zip) return false;
+  if (a.zip.crc !== b.zip.crc || a.zip.size !== b.zip.size || a.zip.compression !== b.zip.compression) return false;
+  const x = a.zip.raw;
+  const y = b.zip.raw;
+  if (x.length !== y.length) return false;
+  return Buffer.from(x.buffer, x.byteOffset, x.length).equals(Buffer.from(y.buffer, y.byteOffset, y.length));
+}
+
 /**
  * ZIP-backed virtual workspace (in-memory).
- * - files: Map<"/a/b.txt", Uint8Array>
- * - dirs: Set<"/", "/a", "/a/b">
+ * - files: Map<"/a/b.txt", { data, zip, mtime, mode, comment }>
+ * - dirs: Map<"/" | "/a" | "/a/b", { mtime, mode, comment }>
+ *
+ * `mtime` is epoch milliseconds, `mode` holds POSIX permission bits only (e.g. 0o644).
+ * Directories (including empty ones) and metadata survive an export/import round-trip.
+ *
+ * A file's `data` is its decompressed bytes (null until first read in lazy mode) and `zip` holds its
+ * compressed form `{ raw, compression, crc, size }` (null once the file is rewritten). Export copies
+ * `zip.raw` verbatim, so only files written since the last export get recompressed.
+ * Entries are replaced on write, never mutated in place, so a `snapshotFiles()` Map stays valid.
  */
 export class ZipWorkspace {
-  constructor(zipBuffer = null) {
-    /** @type {Map<string, Uint8Array>} */
+  /**
+   * @param {Uint8Array | null} zipBuffer
+   * @param {{ lazy?: boolean }} [opts] lazy: read only the central directory up front and inflate files on first read
+   */
+  constructor(zipBuffer = null, { lazy = false } = {}) {
+    this.lazy = lazy;
+    /** @type {Map<string, { data: Uint8Array | null; zip: { raw: Uint8Array; compression: number; crc: number; size: number } | null; mtime: number; mode: number; comment: string }>} */
     this.files = new Map();
-    /** @type {Set<string>} */
-    this.dirs = new Set(["/"]);
+    /** @type {Map<string, { mtime: number; mode: number; comment: string }>} */
+    this.dirs = new Map();
+    this._resetDirs();
 
     if (zipBuffer) this.importZip(zipBuffer);
   }
 
-  _ensureDir(dirPath) {
+  _resetDirs() {
+    this.dirs = new Map([["/", { mtime: Date.now(), mode: DEFAULT_DIR_MODE, comment: "" }]]);
+  }
+
+  _ensureDir(dirPath, mtime = Date.now()) {
     dirPath = normPath(dirPath);
     const parts = dirPath.split("/").filter(Boolean);
     let cur = "/";
-    this.dirs.add(cur);
+    if (!this.dirs.has(cur)) this.dirs.set(cur, { mtime, mode: DEFAULT_DIR_MODE, comment: "" });
     for (const part of parts) {
       cur = cur === "/" ? `/${part}` : `${cur}/${part}`;
-      this.dirs.add(cur);
+      if (!this.dirs.has(cur)) this.dirs.set(cur, { mtime, mode: DEFAULT_DIR_MODE, comment: "" });
     }
   }
 
-  importZip(zipBuffer) {
-    const obj = unzipSync(new Uint8Array(zipBuffer)); // { "a/b.txt": Uint8Array, ... }
+  importZip(zipBuffer, { lazy = this.lazy } = {}) {
+    // Keep a view (not a copy): lazy entries and export both read from the original archive bytes.
+    const data = zipBuffer instanceof Uint8Array ? zipBuffer : new Uint8Array(zipBuffer);
+    const entries = readZipEntries(data);
     this.files.clear();
-    this.dirs = new Set(["/"]);
+    this._resetDirs();
 
-    for (const [name, bytes] of Object.entries(obj)) {
-      const p = normPath("/" + name);
-      const d = posix.dirname(p);
-      this._ensureDir(d);
-      this.files.set(p, bytes);
+    for (const e of entries) {
+      const p = normPath("/" + e.name);
+      if (e.isDir) {
+        this._ensureDir(p, e.mtime);
+        if (p !== "/") {
+          this.dirs.set(p, { mtime: e.mtime, mode: e.mode ?? DEFAULT_DIR_MODE, comment: e.comment });
+        }
+        continue;
+      }
+      this._ensureDir(posix.dirname(p), e.mtime);
+      const raw = entryRawData(data, e);
+      this.files.set(p, {
+        data: lazy ? null : inflateRaw(raw, e.compression, e.size, e.name, e.crc),
+        zip: { raw, compression: e.compression, crc: e.crc, size: e.size },
+        mtime: e.mtime,
+        mode: e.mode ?? DEFAULT_FILE_MODE,
+        comment: e.comment
+      });
     }
   }
 
-  exportZipBuffer() {
-    /** @type {Record<string, Uint8Array>} */
-    const out = {};
-    for (const [p, bytes] of this.files.entries()) {
+  /**
+   * @param {{ skip?: (p: string) => boolean }} [opts] skip: leave these paths (files and dirs) out
+   */
+  exportZipBuffer({ skip = () => false } = {}) {
+    const out = [];
+    const dirPaths = Array.from(this.dirs.keys()).filter((d) => d !== "/" && !skip(d)).sort();
+    for (const d of dirPaths) {
+      const meta = this.dirs.get(d);
+      out.push({ name: d.slice(1) + "/", isDir: true, raw: EMPTY, compression: 0, crc: 0, size: 0, ...meta });
+    }
+    const filePaths = Array.from(this.files.keys()).filter((p) => !skip(p)).sort();
+    for (const p of filePaths) {
+      const f = this.files.get(p);
+      // Cache the compressed form so the next export can reuse it.
+      if (!f.zip) f.zip = compressEntry(f.data);
       const rel = p.startsWith("/") ? p.slice(1) : p;
-      out[rel] = bytes;
+      out.push({ name: rel, isDir: false, ...f.zip, mtime: f.mtime, mode: f.mode, comment: f.comment });
     }
-    const zipped = zipSync(out, { level: 6 });
-    return Buffer.from(zipped);
+    return writeZip(out);
+  }
+
+  // Lazily loaded entries are inflated (and CRC-checked) on first use.
+  _data(entry, p) {
+    if (!entry.data) entry.data = inflateRaw(entry.zip.raw, entry.zip.compression, entry.zip.size, p.slice(1), entry.zip.crc);
+    return entry.data;
   }
 
   stat(p) {
     p = normPath(p);
-    if (this.files.has(p)) {
-      return { type: "file", size: this.files.get(p).length };
+    const f = this.files.get(p);
+    if (f) {
+      return { type: "file", size: f.data ? f.data.length : f.zip.size, mtimeMs: f.mtime, mode: f.mode, comment: f.comment };
     }
-    if (this.dirs.has(p)) {
-      return { type: "dir", size: 0 };
+    const d = this.dirs.get(p);
+    if (d) {
+      return { type: "dir", size: 0, mtimeMs: d.mtime, mode: d.mode, comment: d.comment };
     }
     return null;
   }
@@ -72,7 +137,7 @@ export class ZipWorkspace {
     }
     const children = new Set();
 
-    for (const d of this.dirs) {
+    for (const d of this.dirs.keys()) {
       if (d === "/") continue;
       if (posix.dirname(d) === p) children.add(posix.basename(d));
     }
@@ -84,18 +149,111 @@ export class ZipWorkspace {
 
   readFile(p, encoding = null) {
     p = normPath(p);
-    const bytes = this.files.get(p);
-    if (!bytes) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
-    const buf = Buffer.from(bytes);
+    const entry = this.files.get(p);
+    if (!entry) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+    const buf = Buffer.from(this._data(entry, p));
     return encoding ? buf.toString(encoding) : buf;
   }
 
+  /**
+   * First `maxBytes` bytes of a file. A lazily loaded entry is only inflated that far and stays
+   * uninflated, so sniffing many files does not pull the whole ZIP into memory.
+   */
+  readPrefix(p, maxBytes) {
+    p = normPath(p);
+    const entry = this.files.get(p);
+    if (!entry) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+    if (entry.data) return entry.data.subarray(0, maxBytes);
+    return inflatePrefix(entry.zip.raw, entry.zip.compression, maxBytes);
+  }
+
+  /**
+   * Cheap point-in-time view of the file table; pass it to `diffFiles()` later.
+   */
+  snapshotFiles() {
+    return new Map(this.files);
+  }
+
+  /**
+   * Point-in-time copy of both tables for `restoreTree()` (entries are replaced, never mutated,
+   * by writes, so shallow copies are enough).
+   */
+  snapshotTree() {
+    return { files: new Map(this.files), dirs: new Map(this.dirs) };
+  }
+
+  restoreTree(snapshot) {
+    this.files.clear();
+    for (const [p, f] of snapshot.files) this.files.set(p, f);
+    this.dirs.clear();
+    for (const [p, d] of snapshot.dirs) this.dirs.set(p, d);
+  }
+
+  /**
+   * Bytes of the files that changed since `snapshot`, as partial before/after Maps (the shape
+   * `timeRecord` expects). Entries whose stored bytes are identical are skipped without inflating.
+   */
+  diffFiles(snapshot) {
+    /** @type {Map<string, Uint8Array>} */
+    const beforeFiles = new Map();
+    /** @type {Map<string, Uint8Array>} */
+    const afterFiles = new Map();
+    const keys = new Set([...snapshot.keys(), ...this.files.keys()]);
+    for (const p of keys) {
+      const a = snapshot.get(p);
+      const b = this.files.get(p);
+      if (a === b) continue;
+      if (a && b && sameStoredBytes(a, b)) continue;
+      if (a) beforeFiles.set(p, this._data(a, p));
+      if (b) afterFiles.set(p, this._data(b, p));
+    }
+    return { beforeFiles, afterFiles };
+  }
+
+  /**
+   * Entries added, replaced or removed since `snapshot` (from `snapshotTree()`), compared by entry
+   * identity, in a form `applyChanges()` can replay on another workspace. `skip(p)` leaves paths out.
+   *
+   * @returns {{ written: { path: string; data: Uint8Array; mtime: number; mode: number; comment: string }[]; deleted: string[]; mkdirs: { path: string; mtime: number; mode: number; comment: string }[]; rmdirs: string[] }}
+   */
+  changesSince(snapshot, skip = () => false) {
+    const written = [];
+    const deleted = [];
+    const mkdirs = [];
+    const rmdirs = [];
+    for (const [p, f] of this.files) {
+      if (snapshot.files.get(p) === f || skip(p)) continue;
+      written.push({ path: p, data: this._data(f, p), mtime: f.mtime, mode: f.mode, comment: f.comment });
+    }
+    for (const p of snapshot.files.keys()) if (!this.files.has(p) && !skip(p)) deleted.push(p);
+    for (const [p, d] of this.dirs) {
+      if (snapshot.dirs.get(p) === d || skip(p)) continue;
+      mkdirs.push({ path: p, ...d });
+    }
+    for (const p of snapshot.dirs.keys()) if (!this.dirs.has(p) && !skip(p)) rmdirs.push(p);
+    return { written, deleted, mkdirs, rmdirs };
+  }
+
+  applyChanges({ written = [], deleted = [], mkdirs = [], rmdirs = [] }) {
+    for (const p of deleted) this.files.delete(p);
+    for (const p of rmdirs) if (p !== "/") this.dirs.delete(p);
+    for (const { path: p, mtime, mode, comment } of mkdirs) {
+      this._ensureDir(posix.dirname(p), mtime);
+      this.dirs.set(p, { mtime, mode, comment });
+    }
+    for (const { path: p, data, mtime, mode, comment } of written) {
+      this._ensureDir(posix.dirname(p), mtime);
+      this.files.set(p, { data: new Uint8Array(data), zip: null, mtime, mode, comment });
+    }
+  }
+
   writeFile(p, data, encoding = "utf8", overwrite = true) {
     p = normPath(p);
     const dir = posix.dirname(p);
     this._ensureDir(dir);
 
-    if (!overwrite && this.files.has(p)) {
+    const existing = this.files.get(p);
+    if (!overwrite && existing) {
       throw Object.assign(new Error("EEXIST"), { code: "EEXIST" });
     }
 
@@ -105,7 +263,13 @@ export class ZipWorkspace {
         ? Buffer.from(data, encoding)
         : Buffer.from(data);
 
-    this.files.set(p, new Uint8Array(buf));
+    this.files.set(p, {
+      data: new Uint8Array(buf),
+      zip: null,
+      mtime: Date.now(),
+      mode: existing?.mode ?? DEFAULT_FILE_MODE,
+      comment: existing?.comment ?? ""
+    });
   }
 
   mkdir(p, recursive = true) {
@@ -113,24 +277,150 @@ export class ZipWorkspace {
     if (!recursive) {
       const parent = posix.dirname(p);
       if (!this.dirs.has(parent)) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
-      this.dirs.add(p);
+      if (!this.dirs.has(p)) this.dirs.set(p, { mtime: Date.now(), mode: DEFAULT_DIR_MODE, comment: "" });
       return;
     }
     this._ensureDir(p);
   }
 
-  delete(p) {
+  /**
+   * Delete a file or directory. Non-empty directories need `recursive`; `force` ignores missing paths.
+   * Returns how many files and dirs were removed.
+   */
+  delete(p, { recursive = false, force = false } = {}) {
     p = normPath(p);
-    if (this.files.delete(p)) return;
+    if (this.files.delete(p)) return { files: 1, dirs: 0 };
 
     if (this.dirs.has(p)) {
       if (p === "/") throw Object.assign(new Error("EPERM"), { code: "EPERM" });
-      // simple: refuse to delete non-empty dirs
-      for (const f of this.files.keys()) if (f.startsWith(p + "/")) throw Object.assign(new Error("ENOTEMPTY"), { code: "ENOTEMPTY" });
-      for (const d of this.dirs) if (d !== p && d.startsWith(p + "/")) throw Object.assign(new Error("ENOTEMPTY"), { code: "ENOTEMPTY" });
+      if (recursive) {
+        const tree = this._tree(p);
+        for (const f of tree.files) this.files.delete(f);
+        for (const d of tree.dirs) this.dirs.delete(d);
+        return { files: tree.files.length, dirs: tree.dirs.length };
+      }
+      // refuse to delete non-empty dirs unless recursive
+      if (this._hasChildren(p)) throw Object.assign(new Error("ENOTEMPTY"), { code: "ENOTEMPTY" });
       this.dirs.delete(p);
-      return;
+      return { files: 0, dirs: 1 };
     }
+    if (force) return { files: 0, dirs: 0 };
     throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
   }
+
+  /** Paths of every dir (including `p`) and file inside the tree rooted at `p`. */
+  _tree(p) {
+    const prefix = p === "/" ? "/" : p + "/";
+    const dirs = Array.from(this.dirs.keys()).filter((d) => d === p || d.startsWith(prefix));
+    const files = Array.from(this.files.keys()).filter((f) => f.startsWith(prefix));
+    return { dirs: dirs.sort(), files: files.sort() };
+  }
+
+  _hasChildren(p) {
+    const prefix = p + "/";
+    for (const f of this.files.keys()) if (f.startsWith(prefix)) return true;
+    for (const d of this.dirs.keys()) if (d.startsWith(prefix)) return true;
+    return false;
+  }
+
+  /**
+   * Move a file or a whole directory tree. Metadata (and stored compressed bytes) move with it.
+   * Missing parent dirs of `to` are created. An existing target file is replaced when `overwrite`
+   * is set; an existing target dir may only be replaced when it is empty.
+   */
+  rename(from, to, { overwrite = true } = {}) {
+    from = normPath(from);
+    to = normPath(to);
+    if (from === "/" || to === "/") throw Object.assign(new Error("EPERM"), { code: "EPERM" });
+    const src = this.stat(from);
+    if (!src) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+    if (from === to) return;
+    if (to.startsWith(from + "/")) throw Object.assign(new Error("EINVAL"), { code: "EINVAL" });
+
+    const dst = this.stat(to);
+    if (dst) {
+      if (!overwrite) throw Object.assign(new Error("EEXIST"), { code: "EEXIST" });
+      if (src.type === "file" && dst.type === "dir") throw Object.assign(new Error("EISDIR"), { code: "EISDIR" });
+      if (src.type === "dir" && dst.type === "file") throw Object.assign(new Error("ENOTDIR"), { code: "ENOTDIR" });
+      if (dst.type === "dir" && this._hasChildren(to)) throw Object.assign(new Error("ENOTEMPTY"), { code: "ENOTEMPTY" });
+      this.delete(to);
+    }
+    this._ensureDir(posix.dirname(to));
+
+    if (src.type === "file") {
+      const entry = this.files.get(from);
+      this.files.delete(from);
+      this.files.set(to, entry);
+      return;
+    }
+
+    const tree = this._tree(from);
+    const remap = (p) => to + p.slice(from.length);
+    for (const d of tree.dirs) {
+      const meta = this.dirs.get(d);
+      this.dirs.delete(d);
+      this.dirs.set(remap(d), meta);
+    }
+    for (const f of tree.files) {
+      const entry = this.files.get(f);
+      this.files.delete(f);
+      this.files.set(remap(f), entry);
+    }
+  }
+
+  /**
+   * Copy a file or (with `recursive`) a directory tree, merging into an existing target dir.
+   * Copies get a fresh mtime and keep mode/comment. When a target file exists and `overwrite`
+   * is false, the copy fails with EEXIST (before anything is written) unless `errorOnExist`
+   * is false, in which case that file is skipped.
+   */
+  copy(from, to, { overwrite = true, errorOnExist = true, recursive = true } = {}) {
+    from = normPath(from);
+    to = normPath(to);
+    const src = this.stat(from);
+    if (!src) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+    if (from === to) throw Object.assign(new Error("EINVAL"), { code: "EINVAL" });
+
+    const now = Date.now();
+    const dst = this.stat(to);
+
+    if (src.type === "file") {
+      if (dst?.type === "dir") throw Object.assign(new Error("EISDIR"), { code: "EISDIR" });
+      if (dst && !overwrite) {
+        if (errorOnExist) throw Object.assign(new Error("EEXIST"), { code: "EEXIST" });
+        return;
+      }
+      this._ensureDir(posix.dirname(to));
+      this.files.set(to, { ...this.files.get(from), mtime: now });
+      return;
+    }
+
+    if (!recursive) throw Object.assign(new Error("EISDIR"), { code: "EISDIR" });
+    if (from === "/" || to.startsWith(from + "/")) throw Object.assign(new Error("EINVAL"), { code: "EINVAL" });
+    if (dst?.type === "file") throw Object.assign(new Error("ENOTDIR"), { code: "ENOTDIR" });
+
+    const tree = this._tree(from);
+    const remap = (p) => to + p.slice(from.length);
+    const files = [];
+    for (const f of tree.files) {
+      const target = remap(f);
+      const existing = this.stat(target);
+      if (existing?.type === "dir") throw Object.assign(new Error("EISDIR"), { code: "EISDIR" });
+      if (existing && !overwrite) {
+        if (errorOnExist) throw Object.assign(new Error("EEXIST"), { code: "EEXIST" });
+        continue;
+      }
+      files.push([f, target]);
+    }
+    for (const d of tree.dirs) {
+      if (this.files.has(remap(d))) throw Object.assign(new Error("ENOTDIR"), { code: "ENOTDIR" });
+    }
+
+    this._ensureDir(posix.dirname(to));
+    for (const d of tree.dirs) {
+      const target = remap(d);
+      if (!this.dirs.has(target)) this.dirs.set(target, { ...this.dirs.get(d), mtime: now });
+    }
+    for (const [f, target] of files) this.files.set(target, { ...this.files.get(f), mtime: now });
+  }
 }
@@ -0,0 +1,371 @@
+import { deflateSync, inflateSync, Inflate, strFromU8 } from "fflate";
+
+/**
+ * Minimal ZIP reader/writer.
+ *
+ * fflate's `unzipSync` only hands back `{ name: bytes }`, which drops directory metadata,
+ * timestamps, permission bits and entry comments, and `zipSync` always recompresses every entry.
+ * This module reads the central directory without inflating anything and writes archives from
+ * already-compressed payloads, so `ZipWorkspace` can load lazily and reuse untouched entries.
+ */
+
+const SIG_EOCD = 0x06054b50;
+const SIG_EOCD64 = 0x06064b50;
+const SIG_EOCD64_LOCATOR = 0x07064b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+const EXTRA_ZIP64 = 0x0001;
+const EXTRA_UNIX_TIME = 0x5455;
+
+const OS_UNIX = 3;
+const DOS_ATTR_DIR = 0x10;
+
+export const S_IFMT = 0o170000;
+export const S_IFDIR = 0o040000;
+export const S_IFREG = 0o100000;
+
+// DOS timestamps only cover 1980..2107.
+const DOS_MIN_MS = new Date(1980, 0, 1, 0, 0, 0).getTime();
+const DOS_MAX_MS = new Date(2107, 11, 31, 23, 59, 58).getTime();
+
+function zipError(msg) {
+  return Object.assign(new Error(`Invalid ZIP: ${msg}`), { code: "EZIP" });
+}
+
+function u16(d, o) {
+  return d[o] | (d[o + 1] << 8);
+}
+
+function u32(d, o) {
+  return (d[o] | (d[o + 1] << 8) | (d[o + 2] << 16) | (d[o + 3] << 24)) >>> 0;
+}
+
+function u64(d, o) {
+  return u32(d, o) + u32(d, o + 4) * 4294967296;
+}
+
+function dosToMs(time, date) {
+  return new Date(
+    1980 + ((date >> 9) & 0x7f),
+    ((date >> 5) & 0xf) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+}
+
+function readExtra(d, start, end) {
+  /** @type {Map<number, Uint8Array>} */
+  const out = new Map();
+  let o = start;
+  while (o + 4 <= end) {
+    const id = u16(d, o);
+    const len = u16(d, o + 2);
+    if (o + 4 + len > end) break;
+    out.set(id, d.subarray(o + 4, o + 4 + len));
+    o += 4 + len;
+  }
+  return out;
+}
+
+function findEocd(d) {
+  const min = Math.max(0, d.length - 22 - 0xffff);
+  for (let o = d.length - 22; o >= min; o -= 1) {
+    if (u32(d, o) === SIG_EOCD) return o;
+  }
+  throw zipError("end of central directory not found");
+}
+
+/**
+ * Clamp an epoch-ms timestamp into the range a DOS date field can hold.
+ * The precise value travels in the extended-timestamp extra field instead.
+ */
+function dosSafeTime(ms) {
+  const t = Number.isFinite(ms) ? ms : Date.now();
+  return Math.min(DOS_MAX_MS, Math.max(DOS_MIN_MS, t));
+}
+
+/**
+ * Encode an "UT" (0x5455) extra field carrying the modification time in Unix seconds.
+ */
+function unixTimeExtra(ms) {
+  const secs = Math.floor((Number.isFinite(ms) ? ms : Date.now()) / 1000);
+  const out = new Uint8Array(5);
+  out[0] = 1; // flags: mtime present
+  new DataView(out.buffer).setInt32(1, secs, true);
+  return out;
+}
+
+/**
+ * Read every entry from the central directory without decompressing anything.
+ *
+ * Entry names are returned as stored (no leading "/"; directories end in "/").
+ * `mode` holds POSIX permission bits only, or null when the archive didn't record any.
+ */
+export function readZipEntries(data) {
+  const d = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (d.length === 0) return [];
+
+  const eocd = findEocd(d);
+  let count = u16(d, eocd + 10);
+  let cdOffset = u32(d, eocd + 16);
+
+  if (count === 0xffff || cdOffset === 0xffffffff) {
+    const loc = eocd - 20;
+    if (loc >= 0 && u32(d, loc) === SIG_EOCD64_LOCATOR) {
+      const e64 = u64(d, loc + 8);
+      if (u32(d, e64) !== SIG_EOCD64) throw zipError("bad zip64 end of central directory");
+      count = u64(d, e64 + 32);
+      cdOffset = u64(d, e64 + 48);
+    }
+  }
+
+  const entries = [];
+  let o = cdOffset;
+  for (let i = 0; i < count; i += 1) {
+    if (u32(d, o) !== SIG_CENTRAL) throw zipError(`bad central directory header at ${o}`);
+    const madeByOs = d[o + 5];
+    const flags = u16(d, o + 8);
+    const compression = u16(d, o + 10);
+    const dosTime = u16(d, o + 12);
+    const dosDate = u16(d, o + 14);
+    const crc = u32(d, o + 16);
+    let compressedSize = u32(d, o + 20);
+    let size = u32(d, o + 24);
+    const nameLen = u16(d, o + 28);
+    const extraLen = u16(d, o + 30);
+    const commentLen = u16(d, o + 32);
+    const externalAttrs = u32(d, o + 38);
+    let localOffset = u32(d, o + 42);
+
+    const utf8 = (flags & 0x800) !== 0;
+    const nameStart = o + 46;
+    const extraStart = nameStart + nameLen;
+    const commentStart = extraStart + extraLen;
+    const name = strFromU8(d.subarray(nameStart, extraStart), !utf8);
+    const extra = readExtra(d, extraStart, commentStart);
+    const comment = commentLen ? strFromU8(d.subarray(commentStart, commentStart + commentLen), !utf8) : "";
+
+    const z64 = extra.get(EXTRA_ZIP64);
+    if (z64) {
+      let zo = 0;
+      if (size === 0xffffffff) {
+        size = u64(z64, zo);
+        zo += 8;
+      }
+      if (compressedSize === 0xffffffff) {
+        compressedSize = u64(z64, zo);
+        zo += 8;
+      }
+      if (localOffset === 0xffffffff) localOffset = u64(z64, zo);
+    }
+
+    let mtime = dosToMs(dosTime, dosDate);
+    const ut = extra.get(EXTRA_UNIX_TIME);
+    if (ut && ut.length >= 5 && ut[0] & 1) {
+      mtime = new DataView(ut.buffer, ut.byteOffset, ut.byteLength).getInt32(1, true) * 1000;
+    }
+
+    const unixMode = madeByOs === OS_UNIX ? externalAttrs >>> 16 : 0;
+    const isDir =
+      name.endsWith("/") || (unixMode & S_IFMT) === S_IFDIR || (madeByOs !== OS_UNIX && (externalAttrs & DOS_ATTR_DIR) !== 0);
+
+    entries.push({
+      name,
+      isDir,
+      compression,
+      crc,
+      compressedSize,
+      size,
+      localOffset,
+      mtime,
+      mode: unixMode ? unixMode & 0o7777 : null,
+      comment
+    });
+
+    o = commentStart + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Return the still-compressed bytes of an entry (a view into `data`, no copy).
+ */
+export function entryRawData(data, entry) {
+  const d = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const lo = entry.localOffset;
+  if (u32(d, lo) !== SIG_LOCAL) throw zipError(`bad local header for ${entry.name}`);
+  const start = lo + 30 + u16(d, lo + 26) + u16(d, lo + 28);
+  if (start + entry.compressedSize > d.length) throw zipError(`truncated data for ${entry.name}`);
+  return d.subarray(start, start + entry.compressedSize);
+}
+
+/**
+ * Decompress raw entry bytes (stored or deflated). With `crc` (from the central directory), the
+ * result is checked against it so a corrupted entry fails here instead of reading as garbage.
+ */
+export function inflateRaw(raw, compression, size, name = "", crc = null) {
+  const where = name ? ` for ${name}` : "";
+  let data;
+  if (compression === 0) data = raw.slice();
+  else if (compression === 8) data = inflateSync(raw, { out: new Uint8Array(size) });
+  else throw zipError(`unsupported compression method ${compression}${where}`);
+  if (crc !== null && crc32(data) !== crc >>> 0) throw zipError(`CRC-32 mismatch${where}`);
+  return data;
+}
+
+/**
+ * Decompress only the first `maxBytes` of raw entry bytes (fewer for a shorter entry), stopping
+ * early instead of inflating the whole entry.
+ */
+export function inflatePrefix(raw, compression, maxBytes) {
+  if (compression === 0) return raw.subarray(0, maxBytes);
+  if (compression !== 8) throw zipError(`unsupported compression method ${compression}`);
+  const chunks = [];
+  let have = 0;
+  const inflater = new Inflate((chunk) => {
+    chunks.push(chunk);
+    have += chunk.length;
+  });
+  const step = 16 * 1024;
+  for (let o = 0; o < raw.length && have < maxBytes; o += step) inflater.push(raw.subarray(o, o + step), o + step >= raw.length);
+  const out = new Uint8Array(Math.min(have, maxBytes));
+  let at = 0;
+  for (const c of chunks) {
+    if (at >= out.length) break;
+    out.set(c.subarray(0, out.length - at), at);
+    at += Math.min(c.length, out.length - at);
+  }
+  return out;
+}
+
+// --- Writing ---
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let c = -1;
+  for (let i = 0; i < bytes.length; i += 1) c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+/**
+ * Compress file contents for storage. Falls back to "stored" when deflate doesn't help.
+ * Returns the fields `writeZip` needs to copy the entry verbatim.
+ */
+export function compressEntry(data, level = 6) {
+  const crc = crc32(data);
+  if (data.length > 0 && level > 0) {
+    const deflated = deflateSync(data, { level });
+    if (deflated.length < data.length) return { raw: deflated, compression: 8, crc, size: data.length };
+  }
+  return { raw: data, compression: 0, crc, size: data.length };
+}
+
+function dosDateTime(ms) {
+  const dt = new Date(dosSafeTime(ms));
+  const time = (dt.getHours() << 11) | (dt.getMinutes() << 5) | (dt.getSeconds() >> 1);
+  const date = ((dt.getFullYear() - 1980) << 9) | ((dt.getMonth() + 1) << 5) | dt.getDate();
+  return { time, date };
+}
+
+function isAscii(s) {
+  return /^[\x00-\x7f]*$/.test(s);
+}
+
+/**
+ * Serialize entries into a ZIP archive without recompressing anything.
+ *
+ * Each entry: `{ name, isDir, raw, compression, crc, size, mtime, mode, comment }`, where `raw` is
+ * the already-compressed payload (see `compressEntry`, or `entryRawData` to reuse an archive's bytes).
+ */
+export function writeZip(entries) {
+  const enc = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  let centralSize = 0;
+
+  for (const e of entries) {
+    const name = enc.encode(e.name);
+    const comment = e.comment ? enc.encode(e.comment) : new Uint8Array(0);
+    const utf8 = !isAscii(e.name) || (e.comment && !isAscii(e.comment));
+    const extra = new Uint8Array(9);
+    extra[0] = EXTRA_UNIX_TIME & 0xff;
+    extra[1] = EXTRA_UNIX_TIME >> 8;
+    extra[2] = 5;
+    extra.set(unixTimeExtra(e.mtime), 4);
+    const { time, date } = dosDateTime(e.mtime);
+    const raw = e.raw || new Uint8Array(0);
+    const st = ((e.isDir ? S_IFDIR : S_IFREG) | ((e.mode ?? 0) & 0o7777)) >>> 0;
+    const externalAttrs = ((st << 16) | (e.isDir ? DOS_ATTR_DIR : 0)) >>> 0;
+
+    if (offset + 30 + name.length + extra.length + raw.length > 0xffffffff) {
+      throw zipError("archive exceeds 4 GiB (zip64 output is not supported)");
+    }
+
+    const local = new Uint8Array(30 + name.length + extra.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, SIG_LOCAL, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, utf8 ? 0x800 : 0, true);
+    lv.setUint16(8, e.compression, true);
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, e.crc >>> 0, true);
+    lv.setUint32(18, raw.length, true);
+    lv.setUint32(22, e.size, true);
+    lv.setUint16(26, name.length, true);
+    lv.setUint16(28, extra.length, true);
+    local.set(name, 30);
+    local.set(extra, 30 + name.length);
+
+    const central = new Uint8Array(46 + name.length + extra.length + comment.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, SIG_CENTRAL, true);
+    cv.setUint16(4, (OS_UNIX << 8) | 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, utf8 ? 0x800 : 0, true);
+    cv.setUint16(10, e.compression, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, date, true);
+    cv.setUint32(16, e.crc >>> 0, true);
+    cv.setUint32(20, raw.length, true);
+    cv.setUint32(24, e.size, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint16(30, extra.length, true);
+    cv.setUint16(32, comment.length, true);
+    cv.setUint32(38, externalAttrs, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+    central.set(extra, 46 + name.length);
+    central.set(comment, 46 + name.length + extra.length);
+
+    locals.push(local, raw);
+    centrals.push(central);
+    offset += local.length + raw.length;
+    centralSize += central.length;
+  }
+
+  if (entries.length > 0xffff) throw zipError("too many entries (zip64 output is not supported)");
+
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, SIG_EOCD, true);
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  return Buffer.concat([...locals, ...centrals, eocd]);
+}